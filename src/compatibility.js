@@ -0,0 +1,136 @@
+/**
+ * Compatibility checks between a plugin's requirements and a site's
+ * WordPress and PHP versions.
+ *
+ * Mirrored by wordpress_plugin_search_get_compatibility_badges() in PHP so
+ * server-rendered cards show the same badges.
+ */
+
+/**
+ * Where the versions compared against come from.
+ */
+export const COMPATIBILITY_SOURCES = [ 'site', 'visitor', 'none' ];
+
+/**
+ * Normalize a compatibility source value, falling back to the host site.
+ *
+ * @param {string} source - Raw source value
+ * @return {string} One of COMPATIBILITY_SOURCES
+ */
+export function getCompatibilitySource( source ) {
+	return COMPATIBILITY_SOURCES.includes( source ) ? source : 'site';
+}
+
+/**
+ * Reduce a version string to its leading numeric segments.
+ *
+ * Suffixes such as "-beta1" or "-1ubuntu" are dropped, so "8.2.7-1ubuntu"
+ * becomes "8.2.7".
+ *
+ * @param {string} version  - Raw version string
+ * @param {number} segments - Maximum number of segments to keep
+ * @return {string} Normalized version, or '' when it doesn't start with a number
+ */
+export function normalizeVersion( version, segments = 3 ) {
+	const match = String( version || '' )
+		.trim()
+		.match( /^\d+(\.\d+)*/ );
+
+	return match
+		? match[ 0 ].split( '.' ).slice( 0, segments ).join( '.' )
+		: '';
+}
+
+/**
+ * Compare two normalized versions segment by segment.
+ *
+ * Missing segments count as zero, so "6.8" equals "6.8.0".
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @return {number} -1, 0 or 1
+ */
+export function compareVersions( a, b ) {
+	const left = a.split( '.' ).map( Number );
+	const right = b.split( '.' ).map( Number );
+
+	for ( let i = 0; i < Math.max( left.length, right.length ); i++ ) {
+		const difference = ( left[ i ] || 0 ) - ( right[ i ] || 0 );
+		if ( difference !== 0 ) {
+			return difference > 0 ? 1 : -1;
+		}
+	}
+
+	return 0;
+}
+
+/**
+ * Whether a plugin can be installed on the given versions.
+ *
+ * Unknown versions and missing requirements never count against a plugin.
+ *
+ * @param {Object} plugin       - Plugin with requires and requires_php
+ * @param {Object} versions     - Versions to compare against
+ * @param {string} versions.wp  - WordPress version
+ * @param {string} versions.php - PHP version
+ * @return {boolean} False when a requirement is above the given version
+ */
+export function isPluginCompatible( plugin, { wp = '', php = '' } = {} ) {
+	const requires = normalizeVersion( plugin.requires );
+	if ( wp && requires && compareVersions( requires, wp ) > 0 ) {
+		return false;
+	}
+
+	// Only major.minor matters for PHP requirements
+	const requiresPhp = normalizeVersion( plugin.requires_php, 2 );
+	if (
+		php &&
+		requiresPhp &&
+		compareVersions( requiresPhp, normalizeVersion( php, 2 ) ) > 0
+	) {
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Badges describing how a plugin fits the given versions.
+ *
+ * @param {Object} plugin       - Plugin with requires, tested and requires_php
+ * @param {Object} versions     - Versions to compare against
+ * @param {string} versions.wp  - WordPress version
+ * @param {string} versions.php - PHP version
+ * @return {Array} Badges with status ('good', 'warning' or 'bad') and label
+ */
+export function getCompatibilityBadges( plugin, { wp = '', php = '' } = {} ) {
+	const badges = [];
+
+	if ( wp ) {
+		const requires = normalizeVersion( plugin.requires );
+		// "Tested up to 6.8" covers every 6.8.x release
+		const tested = normalizeVersion( plugin.tested, 2 );
+
+		if ( requires && compareVersions( requires, wp ) > 0 ) {
+			badges.push( {
+				status: 'bad',
+				label: `Requires WP ${ requires }`,
+			} );
+		} else if ( tested ) {
+			badges.push(
+				compareVersions( tested, normalizeVersion( wp, 2 ) ) >= 0
+					? { status: 'good', label: `Tested with your WP ${ wp }` }
+					: { status: 'warning', label: `Not tested with WP ${ wp }` }
+			);
+		}
+	}
+
+	if ( php && ! isPluginCompatible( plugin, { php } ) ) {
+		badges.push( {
+			status: 'bad',
+			label: `Requires PHP ${ normalizeVersion( plugin.requires_php ) }`,
+		} );
+	}
+
+	return badges;
+}
@@ -3,7 +3,7 @@
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-i18n/
  */
-import { __ } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 
 /**
  * React hook that is used to mark the block wrapper element.
@@ -16,15 +16,17 @@ import {
 	PanelBody,
 	TextControl,
 	SelectControl,
+	FormTokenField,
 	ToggleControl,
+	CheckboxControl,
+	BaseControl,
 	Spinner,
 	Notice,
-	Modal,
-	Button,
 } from '@wordpress/components';
-import { useState, useEffect } from '@wordpress/element';
+import { useState, useEffect, useRef } from '@wordpress/element';
 import { store as coreDataStore } from '@wordpress/core-data';
 import { useSelect } from '@wordpress/data';
+import { useDebounce } from '@wordpress/compose';
 
 /**
  * Lets webpack process CSS, SASS or SCSS files referenced in JavaScript files.
@@ -34,6 +36,20 @@ import { useSelect } from '@wordpress/data';
  */
 import './editor.scss';
 
+/**
+ * Internal dependencies
+ */
+import { getCardLayout } from './plugin-media';
+import { getCompatibilitySource } from './compatibility';
+import { getBrowseFeed, getSortOptions, withHiddenGems } from './sort-options';
+import { DEFAULT_GEM_CRITERIA, getGemCriteria } from './hidden-gems';
+import {
+	INSTALL_THRESHOLDS,
+	RATING_THRESHOLDS,
+	UPDATED_WITHIN_MONTHS,
+} from './plugin-filters';
+import { PluginSearchInterface } from './plugin-search-interface';
+
 /**
  * The edit function describes the structure of your block in the context of the
  * editor. This represents what the editor will render when the block is used.
@@ -43,239 +59,364 @@ import './editor.scss';
  * @return {Element} Element to render.
  */
 export default function Edit( { attributes, setAttributes } ) {
-	const { resultsPerPage, defaultSort, showFilters } = attributes;
+	const {
+		mode,
+		slugs,
+		resultsPerPage,
+		defaultSort,
+		sortFeeds,
+		showFilters,
+		cardLayout,
+		pagination,
+		compatibility,
+		tag,
+		author,
+		user,
+		minRating,
+		minInstalls,
+		updatedWithin,
+		testedWith,
+		gemMinRating,
+		gemMaxInstalls,
+		gemMaxAgeDays,
+	} = attributes;
+	const isCurated = mode === 'curated';
+	const layout = getCardLayout( cardLayout );
+	const previewRef = useRef();
+	// The preview is rebuilt whenever any setting changes
+	const previewKey = JSON.stringify( attributes );
 
-	const [ previewPlugins, setPreviewPlugins ] = useState( [] );
 	const [ isLoading, setIsLoading ] = useState( true );
 	const [ error, setError ] = useState( null );
-	const [ modalOpen, setModalOpen ] = useState( false );
-	const [ modalPlugin, setModalPlugin ] = useState( null );
-	const [ modalImageIndex, setModalImageIndex ] = useState( 0 );
+	const [ slugSuggestions, setSlugSuggestions ] = useState( [] );
+	const [ siteSettings, setSiteSettings ] = useState( null );
+
+	// Feeds the site allows, narrowed to the ones this block offers visitors.
+	// A block list the site no longer allows any of offers everything, as on the server.
+	const siteFeeds = withHiddenGems( siteSettings?.allowed_browse );
+	const siteSortOptions = getSortOptions( siteFeeds );
+	const blockSortOptions = getSortOptions( siteFeeds, sortFeeds );
+	const visitorSortOptions =
+		blockSortOptions.length > 0 ? blockSortOptions : siteSortOptions;
+	const startingFeed = getBrowseFeed( defaultSort, visitorSortOptions );
+
+	// Hidden gem thresholds the block falls back to, from the site settings
+	const siteGemCriteria = getGemCriteria(
+		{
+			minRating: siteSettings?.hidden_gems?.min_rating,
+			maxInstalls: siteSettings?.hidden_gems?.max_installs,
+			maxAgeDays: siteSettings?.hidden_gems?.max_age_days,
+		},
+		DEFAULT_GEM_CRITERIA
+	);
 
 	// Use WordPress core data store for REST API calls
 	const { restNonce } = useSelect( ( select ) => {
 		const { getCurrentUser } = select( coreDataStore );
-		const user = getCurrentUser();
+		const currentUser = getCurrentUser();
 		return {
-			restNonce: user?.meta?.rest_nonce || window.wpApiSettings?.nonce,
+			restNonce:
+				currentUser?.meta?.rest_nonce || window.wpApiSettings?.nonce,
 		};
 	}, [] );
 
-	// Load preview data
+	// Site-wide defaults from Settings > Plugin Search
+	useEffect( () => {
+		const loadSiteSettings = async () => {
+			try {
+				const settingsResponse = await fetch(
+					'/wp-json/wordpress-plugin-search/v1/settings',
+					{
+						headers: {
+							'Content-Type': 'application/json',
+							...( restNonce && { 'X-WP-Nonce': restNonce } ),
+						},
+					}
+				);
+
+				if ( settingsResponse.ok ) {
+					setSiteSettings( await settingsResponse.json() );
+				}
+			} catch ( settingsError ) {
+				// Keep offering every option - the server still enforces the limits
+			}
+		};
+
+		loadSiteSettings();
+	}, [ restNonce ] );
+
+	// Render the block as visitors get it - render.php's markup, brought to
+	// life by the same interface the front end uses
 	useEffect( () => {
-		const loadPreviewData = async () => {
+		const container = previewRef.current;
+		const request = new AbortController();
+		let preview = null;
+
+		const loadPreview = async () => {
 			try {
 				setIsLoading( true );
 				setError( null );
 
-				// Load plugins for preview based on defaultSort
-				const pluginParams = new URLSearchParams( {
-					action: 'query_plugins',
-					browse:
-						defaultSort === 'newest'
-							? 'new'
-							: defaultSort === 'updated'
-							? 'updated'
-							: 'popular',
-					per_page: '6',
-				} );
-
-				const pluginResponse = await fetch(
-					`/wp-json/wordpress-plugin-search/v1/query?${ pluginParams }`,
+				const previewResponse = await fetch(
+					'/wp-json/wp/v2/block-renderer/telex/block-wordpress-plugin-search',
 					{
+						method: 'POST',
 						headers: {
 							'Content-Type': 'application/json',
 							...( restNonce && { 'X-WP-Nonce': restNonce } ),
 						},
+						body: JSON.stringify( {
+							context: 'edit',
+							attributes: JSON.parse( previewKey ),
+						} ),
+						signal: request.signal,
 					}
 				);
 
-				if ( pluginResponse.ok ) {
-					const pluginData = await pluginResponse.json();
-					if (
-						pluginData.plugins &&
-						Array.isArray( pluginData.plugins )
-					) {
-						const pluginsWithScreenshots = pluginData.plugins.map(
-							( plugin ) => {
-								if ( plugin.slug ) {
-									// Generate screenshot URLs for slider
-									plugin.screenshots = [];
-									for ( let i = 1; i <= 5; i++ ) {
-										plugin.screenshots.push( {
-											id: i,
-											url: `https://ps.w.org/${ plugin.slug }/assets/screenshot-${ i }.png`,
-										} );
-									}
-									plugin.primaryScreenshot =
-										plugin.screenshots[ 0 ]?.url;
-								}
-								return plugin;
-							}
-						);
-						setPreviewPlugins( pluginsWithScreenshots );
-					}
-				} else {
+				if ( ! previewResponse.ok ) {
 					throw new Error(
-						`Failed to load plugins: ${ pluginResponse.status }`
+						`Failed to load preview: ${ previewResponse.status }`
+					);
+				}
+
+				const { rendered } = await previewResponse.json();
+				container.innerHTML = rendered;
+
+				if ( container.firstElementChild ) {
+					preview = new PluginSearchInterface(
+						container.firstElementChild,
+						0,
+						{ preview: true }
 					);
 				}
 			} catch ( loadError ) {
-				console.error( 'Error loading preview data:', loadError );
+				if ( loadError.name === 'AbortError' ) {
+					return;
+				}
 				setError( loadError.message );
-				setPreviewPlugins( [] );
 			} finally {
-				setIsLoading( false );
+				if ( ! request.signal.aborted ) {
+					setIsLoading( false );
+				}
 			}
 		};
 
-		loadPreviewData();
-	}, [ restNonce, defaultSort ] );
+		// Typing in a text setting shouldn't rebuild the preview on every key
+		const timer = setTimeout( loadPreview, 300 );
+
+		return () => {
+			clearTimeout( timer );
+			request.abort();
+			preview?.destroy();
+		};
+	}, [ restNonce, previewKey ] );
+
+	// Suggest plugin slugs from the directory while typing in the token field
+	const searchSlugSuggestions = useDebounce( async ( term ) => {
+		if ( ! term || term.trim().length < 2 ) {
+			setSlugSuggestions( [] );
+			return;
+		}
 
-	const resultsPerPageOptions = [
-		{ label: '12', value: 12 },
-		{ label: '24', value: 24 },
-		{ label: '48', value: 48 },
+		try {
+			const suggestionParams = new URLSearchParams( {
+				action: 'query_plugins',
+				search: term.trim(),
+				per_page: '10',
+			} );
+
+			const suggestionResponse = await fetch(
+				`/wp-json/wordpress-plugin-search/v1/query?${ suggestionParams }`,
+				{
+					headers: {
+						'Content-Type': 'application/json',
+						...( restNonce && { 'X-WP-Nonce': restNonce } ),
+					},
+				}
+			);
+
+			if ( ! suggestionResponse.ok ) {
+				return;
+			}
+
+			const suggestionData = await suggestionResponse.json();
+			setSlugSuggestions(
+				( suggestionData.plugins || [] )
+					.map( ( plugin ) => plugin.slug )
+					.filter( Boolean )
+			);
+		} catch ( suggestionError ) {
+			setSlugSuggestions( [] );
+		}
+	}, 300 );
+
+	// Keep tokens in the same shape WordPress.org uses for slugs
+	const normalizeSlugs = ( tokens ) => [
+		...new Set(
+			tokens
+				.map( ( token ) =>
+					String( token?.value ?? token )
+						.toLowerCase()
+						.trim()
+						.replace( /\s+/g, '-' )
+						.replace( /[^a-z0-9-]/g, '' )
+				)
+				.filter( Boolean )
+		),
 	];
 
-	const sortOptions = [
+	const cardLayoutOptions = [
 		{
-			label: __( 'Most Popular', 'wordpress-plugin-search-block-wp' ),
-			value: 'popular',
+			label: __( 'Screenshot first', 'wordpress-plugin-search-block-wp' ),
+			value: 'screenshot',
 		},
 		{
-			label: __( 'Recently Updated', 'wordpress-plugin-search-block-wp' ),
-			value: 'updated',
+			label: __( 'Icon first', 'wordpress-plugin-search-block-wp' ),
+			value: 'icon',
 		},
 		{
-			label: __( 'Newest', 'wordpress-plugin-search-block-wp' ),
-			value: 'new',
+			label: __( 'Banner', 'wordpress-plugin-search-block-wp' ),
+			value: 'banner',
 		},
 	];
 
-	// Open modal for screenshot viewing
-	const openModal = ( plugin, imageIndex = 0 ) => {
-		if ( ! plugin.screenshots || plugin.screenshots.length === 0 ) {
-			return;
-		}
-		setModalPlugin( plugin );
-		setModalImageIndex( imageIndex );
-		setModalOpen( true );
-	};
+	const paginationOptions = [
+		{
+			label: __( 'Load More button', 'wordpress-plugin-search-block-wp' ),
+			value: 'load-more',
+		},
+		{
+			label: __( 'Numbered pages', 'wordpress-plugin-search-block-wp' ),
+			value: 'numbered',
+		},
+		{
+			label: __( 'Infinite scroll', 'wordpress-plugin-search-block-wp' ),
+			value: 'infinite',
+		},
+	];
 
-	// Close modal
-	const closeModal = () => {
-		setModalOpen( false );
-		setModalPlugin( null );
-		setModalImageIndex( 0 );
-	};
+	const compatibilityOptions = [
+		{
+			label: __(
+				"This site's WordPress and PHP versions",
+				'wordpress-plugin-search-block-wp'
+			),
+			value: 'site',
+		},
+		{
+			label: __(
+				'Versions visitors enter',
+				'wordpress-plugin-search-block-wp'
+			),
+			value: 'visitor',
+		},
+		{
+			label: __( 'No badges', 'wordpress-plugin-search-block-wp' ),
+			value: 'none',
+		},
+	];
 
-	// Navigate modal images
-	const navigateModal = ( direction ) => {
-		if ( ! modalPlugin?.screenshots ) return;
+	const ratingOptions = [
+		{
+			label: __( 'Any rating', 'wordpress-plugin-search-block-wp' ),
+			value: 0,
+		},
+		...RATING_THRESHOLDS.map( ( stars ) => ( {
+			label:
+				stars === 5
+					? __( '5 stars', 'wordpress-plugin-search-block-wp' )
+					: sprintf(
+							/* translators: %d: minimum number of stars */
+							__(
+								'%d+ stars',
+								'wordpress-plugin-search-block-wp'
+							),
+							stars
+					  ),
+			value: stars,
+		} ) ),
+	];
 
-		let newIndex = modalImageIndex + direction;
-		if ( newIndex < 0 ) {
-			newIndex = modalPlugin.screenshots.length - 1;
-		} else if ( newIndex >= modalPlugin.screenshots.length ) {
-			newIndex = 0;
-		}
-		setModalImageIndex( newIndex );
-	};
+	const installsOptions = [
+		{
+			label: __( 'Any number', 'wordpress-plugin-search-block-wp' ),
+			value: 0,
+		},
+		...INSTALL_THRESHOLDS.map( ( installs ) => ( {
+			label: `${ installs.toLocaleString() }+`,
+			value: installs,
+		} ) ),
+	];
 
-	// Create screenshot slider for editor preview
-	const createScreenshotSlider = ( plugin ) => {
-		if ( ! plugin.screenshots || plugin.screenshots.length === 0 ) {
-			return (
-				<div className="wps-no-screenshot">
-					<span>No screenshots available</span>
-				</div>
-			);
-		}
+	const updatedWithinOptions = [
+		{
+			label: __( 'Any time', 'wordpress-plugin-search-block-wp' ),
+			value: 0,
+		},
+		...UPDATED_WITHIN_MONTHS.map( ( months ) => ( {
+			label: sprintf(
+				/* translators: %d: number of months */
+				_n(
+					'In the last %d month',
+					'In the last %d months',
+					months,
+					'wordpress-plugin-search-block-wp'
+				),
+				months
+			),
+			value: months,
+		} ) ),
+	];
 
-		return (
-			<div className="wps-screenshot-slider">
-				<div
-					className="wps-main-screenshot"
-					onClick={ () => openModal( plugin, 0 ) }
-					style={ { cursor: 'zoom-in' } }
-				>
-					<img
-						src={ plugin.primaryScreenshot }
-						alt={ `${ plugin.name } screenshot` }
-						loading="lazy"
-						onError={ ( e ) => {
-							e.target.style.display = 'none';
-							e.target.parentNode.innerHTML =
-								'<div class="wps-no-screenshot"><span>No screenshots available</span></div>';
-						} }
-					/>
-				</div>
-				<div className="wps-screenshot-thumbs">
-					{ plugin.screenshots
-						.slice( 0, 5 )
-						.map( ( screenshot, index ) => (
-							<div
-								key={ screenshot.id }
-								className={ `wps-screenshot-thumb ${
-									index === 0 ? 'active' : ''
-								}` }
-								onClick={ () => openModal( plugin, index ) }
-								style={ { cursor: 'pointer' } }
-							>
-								<img
-									src={ screenshot.url }
-									alt={ `Screenshot ${ screenshot.id }` }
-									loading="lazy"
-									onError={ ( e ) => {
-										e.target.parentNode.style.display =
-											'none';
-									} }
-								/>
-							</div>
-						) ) }
-				</div>
-			</div>
-		);
-	};
+	const modeOptions = [
+		{
+			label: __(
+				'Browse the directory',
+				'wordpress-plugin-search-block-wp'
+			),
+			value: 'browse',
+		},
+		{
+			label: __(
+				'Curated plugin list',
+				'wordpress-plugin-search-block-wp'
+			),
+			value: 'curated',
+		},
+	];
 
-	const renderPluginItem = ( plugin, index ) => {
-		if ( ! plugin || ! plugin.name ) {
-			return null;
-		}
+	// Respect the site-wide cap, always leaving at least one choice
+	const maxResultsPerPage = siteSettings?.max_results_per_page || 100;
+	const resultsPerPageOptions = [ 12, 24, 48 ]
+		.map( ( value ) => Math.min( value, maxResultsPerPage ) )
+		.filter( ( value, index, values ) => values.indexOf( value ) === index )
+		.map( ( value ) => ( { label: String( value ), value } ) );
+
+	// An emptied field goes back to following the site settings
+	const setGemThreshold = ( key, value ) =>
+		setAttributes( {
+			[ key ]: value === '' ? undefined : parseInt( value, 10 ) || 0,
+		} );
+
+	// Picking which feeds visitors get in turn limits the default
+	const toggleSortFeed = ( feed, enabled ) => {
+		const current = visitorSortOptions.map( ( option ) => option.value );
+		const feeds = siteSortOptions
+			.map( ( option ) => option.value )
+			.filter( ( value ) =>
+				value === feed ? enabled : current.includes( value )
+			);
 
-		const rating = plugin.rating ? Math.round( plugin.rating / 20 ) : 0;
-		const stars = '★'.repeat( rating ) + '☆'.repeat( 5 - rating );
-
-		return (
-			<div key={ plugin.slug || index } className="wps-plugin-item">
-				{ createScreenshotSlider( plugin ) }
-
-				<div className="wps-plugin-info">
-					<h3 className="wps-plugin-title">{ plugin.name }</h3>
-
-					<div className="wps-plugin-meta">
-						{ plugin.rating && (
-							<div className="wps-plugin-rating">
-								<span className="wps-rating-stars">
-									{ stars }
-								</span>
-								<span className="wps-rating-text">
-									({ plugin.num_ratings || 0 })
-								</span>
-							</div>
-						) }
+		// At least one feed has to stay on
+		if ( feeds.length === 0 ) {
+			return;
+		}
 
-						{ plugin.active_installs && (
-							<div className="wps-plugin-installs">
-								{ plugin.active_installs.toLocaleString() }+
-								installs
-							</div>
-						) }
-					</div>
-				</div>
-			</div>
-		);
+		setAttributes( {
+			// Every feed ticked follows the site settings, including feeds enabled later
+			sortFeeds: feeds.length === siteSortOptions.length ? [] : feeds,
+			defaultSort: getBrowseFeed( defaultSort, getSortOptions( feeds ) ),
+		} );
 	};
 
 	return (
@@ -283,237 +424,413 @@ export default function Edit( { attributes, setAttributes } ) {
 			<InspectorControls>
 				<PanelBody
 					title={ __(
-						'Browse Settings',
+						'Plugin Source',
 						'wordpress-plugin-search-block-wp'
 					) }
 					initialOpen={ true }
 				>
 					<SelectControl
 						label={ __(
-							'Default Sort Order',
+							'Display Mode',
 							'wordpress-plugin-search-block-wp'
 						) }
-						value={ defaultSort }
-						options={ sortOptions }
+						value={ mode }
+						options={ modeOptions }
 						onChange={ ( value ) =>
-							setAttributes( { defaultSort: value } )
+							setAttributes( { mode: value } )
 						}
 						help={ __(
-							'Choose how plugins are sorted by default',
+							'Browse a directory feed, or show a hand-picked list of plugins.',
 							'wordpress-plugin-search-block-wp'
 						) }
 					/>
 
+					{ isCurated && (
+						<>
+							<FormTokenField
+								label={ __(
+									'Plugins',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ slugs }
+								suggestions={ slugSuggestions }
+								onInputChange={ searchSlugSuggestions }
+								onChange={ ( tokens ) =>
+									setAttributes( {
+										slugs: normalizeSlugs( tokens ),
+									} )
+								}
+								maxLength={ 50 }
+								__experimentalShowHowTo={ false }
+							/>
+							<p className="components-form-token-field__help">
+								{ __(
+									'Type a plugin name or slug. Plugins are shown in the order listed here.',
+									'wordpress-plugin-search-block-wp'
+								) }
+							</p>
+						</>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __(
+						'Appearance',
+						'wordpress-plugin-search-block-wp'
+					) }
+					initialOpen={ false }
+				>
 					<SelectControl
 						label={ __(
-							'Results Per Page',
+							'Card Layout',
 							'wordpress-plugin-search-block-wp'
 						) }
-						value={ resultsPerPage }
-						options={ resultsPerPageOptions }
+						value={ layout }
+						options={ cardLayoutOptions }
 						onChange={ ( value ) =>
-							setAttributes( {
-								resultsPerPage: parseInt( value ),
-							} )
+							setAttributes( { cardLayout: value } )
 						}
+						help={ __(
+							'Icon first and banner layouts suit plugins without screenshots.',
+							'wordpress-plugin-search-block-wp'
+						) }
 					/>
-
-					<ToggleControl
+					<SelectControl
 						label={ __(
-							'Show Filters',
+							'Compatibility Badges',
 							'wordpress-plugin-search-block-wp'
 						) }
-						checked={ showFilters }
+						value={ getCompatibilitySource( compatibility ) }
+						options={ compatibilityOptions }
 						onChange={ ( value ) =>
-							setAttributes( { showFilters: value } )
+							setAttributes( { compatibility: value } )
 						}
 						help={ __(
-							'Display sorting and filtering options to users',
+							'Cards show whether each plugin supports these versions, and visitors can hide incompatible plugins.',
 							'wordpress-plugin-search-block-wp'
 						) }
 					/>
 				</PanelBody>
-			</InspectorControls>
 
-			<div { ...useBlockProps( { className: 'wps-search-block' } ) }>
-				<div className="wps-search-block__header">
-					<h2 className="wps-search-block__title">
+				<PanelBody
+					title={ __(
+						'Hidden Gems',
+						'wordpress-plugin-search-block-wp'
+					) }
+					initialOpen={ false }
+				>
+					<p className="components-base-control__help">
 						{ __(
-							'WordPress Plugin Directory',
+							'Plugins meeting all three get a "Hidden gem" badge, and make up the Hidden Gems sort order. Leave a field empty to use the site setting.',
 							'wordpress-plugin-search-block-wp'
 						) }
-					</h2>
-					<p className="wps-search-block__description">
-						{ __(
-							'Browse popular WordPress plugins from the official directory.',
+					</p>
+
+					<TextControl
+						type="number"
+						min={ 0 }
+						max={ 100 }
+						label={ __(
+							'Minimum Rating (%)',
 							'wordpress-plugin-search-block-wp'
 						) }
-					</p>
-				</div>
-
-				<div className="wps-search-block__controls">
-
-					{ showFilters && (
-						<div className="wps-filter-controls">
-							<div className="wps-filter-row">
-								<div className="wps-filter-item">
-									<label>
-										{ __(
-											'Sort by',
-											'wordpress-plugin-search-block-wp'
-										) }
-									</label>
-									<select disabled>
-										<option>
-											{ sortOptions.find(
-												( opt ) =>
-													opt.value === defaultSort
-											)?.label || 'Most Popular' }
-										</option>
-									</select>
-								</div>
-								<div className="wps-filter-item">
-									<label>
-										{ __(
-											'Only with screenshots',
-											'wordpress-plugin-search-block-wp'
-										) }
-									</label>
-									<input type="checkbox" disabled />
-								</div>
-							</div>
-						</div>
-					) }
-				</div>
+						value={ gemMinRating ?? '' }
+						placeholder={ String( siteGemCriteria.minRating ) }
+						onChange={ ( value ) =>
+							setGemThreshold( 'gemMinRating', value )
+						}
+						help={ __(
+							'Ratings are out of 100, so 80 is four stars.',
+							'wordpress-plugin-search-block-wp'
+						) }
+					/>
 
-				<div className="wps-search-block__results">
-					{ error && (
-						<Notice status="error" isDismissible={ false }>
-							{ __(
-								'Error loading plugins:',
+					<TextControl
+						type="number"
+						min={ 0 }
+						label={ __(
+							'Fewer Active Installs Than',
+							'wordpress-plugin-search-block-wp'
+						) }
+						value={ gemMaxInstalls ?? '' }
+						placeholder={ String( siteGemCriteria.maxInstalls ) }
+						onChange={ ( value ) =>
+							setGemThreshold( 'gemMaxInstalls', value )
+						}
+					/>
+
+					<TextControl
+						type="number"
+						min={ 1 }
+						label={ __(
+							'Updated Within (Days)',
+							'wordpress-plugin-search-block-wp'
+						) }
+						value={ gemMaxAgeDays ?? '' }
+						placeholder={ String( siteGemCriteria.maxAgeDays ) }
+						onChange={ ( value ) =>
+							setGemThreshold( 'gemMaxAgeDays', value )
+						}
+					/>
+				</PanelBody>
+
+				{ ! isCurated && (
+					<>
+						<PanelBody
+							title={ __(
+								'Browse Settings',
 								'wordpress-plugin-search-block-wp'
-							) }{ ' ' }
-							{ error }
-						</Notice>
-					) }
+							) }
+							initialOpen={ true }
+						>
+							<SelectControl
+								label={ __(
+									'Default Sort Order',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ startingFeed }
+								options={ visitorSortOptions }
+								onChange={ ( value ) =>
+									setAttributes( { defaultSort: value } )
+								}
+								help={ __(
+									'Choose how plugins are sorted by default',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
 
-					{ isLoading ? (
-						<div className="wps-loading">
-							<Spinner />
-							<p>
-								{ __(
-									'Loading plugin directory...',
+							<BaseControl
+								help={ __(
+									'Feeds visitors can pick from the Sort by menu.',
 									'wordpress-plugin-search-block-wp'
 								) }
-							</p>
-						</div>
-					) : (
-						<div className="wps-plugin-grid">
-							{ previewPlugins.length > 0 ? (
-								previewPlugins.map( renderPluginItem )
-							) : (
-								<p className="wps-no-results">
+							>
+								<BaseControl.VisualLabel>
 									{ __(
-										'No plugins to display. This is a preview in the editor.',
+										'Sort Options for Visitors',
 										'wordpress-plugin-search-block-wp'
 									) }
-								</p>
+								</BaseControl.VisualLabel>
+								{ siteSortOptions.map( ( option ) => (
+									<CheckboxControl
+										key={ option.value }
+										label={ option.label }
+										checked={ visitorSortOptions.some(
+											( visitorOption ) =>
+												visitorOption.value ===
+												option.value
+										) }
+										onChange={ ( enabled ) =>
+											toggleSortFeed(
+												option.value,
+												enabled
+											)
+										}
+									/>
+								) ) }
+							</BaseControl>
+
+							<SelectControl
+								label={ __(
+									'Results Per Page',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ resultsPerPage }
+								options={ resultsPerPageOptions }
+								onChange={ ( value ) =>
+									setAttributes( {
+										resultsPerPage: parseInt( value ),
+									} )
+								}
+							/>
+
+							<SelectControl
+								label={ __(
+									'Pagination',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ pagination }
+								options={ paginationOptions }
+								onChange={ ( value ) =>
+									setAttributes( { pagination: value } )
+								}
+								help={ __(
+									'How visitors reach further results',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
+
+							<ToggleControl
+								label={ __(
+									'Show Filters',
+									'wordpress-plugin-search-block-wp'
+								) }
+								checked={ showFilters }
+								onChange={ ( value ) =>
+									setAttributes( { showFilters: value } )
+								}
+								help={ __(
+									'Display sorting and filtering options to users',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
+						</PanelBody>
+
+						<PanelBody
+							title={ __(
+								'Directory Filters',
+								'wordpress-plugin-search-block-wp'
 							) }
-						</div>
-					) }
-				</div>
+							initialOpen={ false }
+						>
+							<TextControl
+								label={ __(
+									'Tag',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ tag }
+								onChange={ ( value ) =>
+									setAttributes( { tag: value.trim() } )
+								}
+								help={ __(
+									'Only show plugins with this tag, e.g. "woocommerce" or "seo".',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
 
-				<div className="wps-search-block__footer">
-					<p className="wps-editor-note">
-						{ __(
-							'This is an editor preview. Full browsing, sorting, filtering, and screenshot viewing will work on the front end.',
-							'wordpress-plugin-search-block-wp'
-						) }
-					</p>
-				</div>
-			</div>
+							<TextControl
+								label={ __(
+									'Author',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ author }
+								onChange={ ( value ) =>
+									setAttributes( { author: value.trim() } )
+								}
+								help={ __(
+									'WordPress.org username. Shows plugins this user authors or contributes to.',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
 
-			{ modalOpen && modalPlugin && (
-				<Modal
-					title={ modalPlugin.name }
-					onRequestClose={ closeModal }
-					isFullScreen={ false }
-					size="large"
-					className="wps-screenshot-modal"
-				>
-					<div style={ { padding: '1rem', textAlign: 'center' } }>
-						{ modalPlugin.screenshots &&
-							modalPlugin.screenshots[ modalImageIndex ] && (
-								<img
-									src={
-										modalPlugin.screenshots[
-											modalImageIndex
-										].url
-									}
-									alt={ `${ modalPlugin.name } screenshot ${
-										modalImageIndex + 1
-									}` }
-									style={ {
-										maxWidth: '100%',
-										maxHeight: '70vh',
-										height: 'auto',
-										borderRadius: '4px',
-										boxShadow:
-											'0 4px 12px rgba(0, 0, 0, 0.1)',
-									} }
-								/>
+							<TextControl
+								label={ __(
+									'Favorited By',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ user }
+								onChange={ ( value ) =>
+									setAttributes( { user: value.trim() } )
+								}
+								help={ __(
+									"WordPress.org username. Shows the plugins on this user's favorites list.",
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
+						</PanelBody>
+
+						<PanelBody
+							title={ __(
+								'Quality Filters',
+								'wordpress-plugin-search-block-wp'
 							) }
+							initialOpen={ false }
+						>
+							<p className="components-base-control__help">
+								{ __(
+									'Starting values for the filters. Visitors can change them when filters are shown.',
+									'wordpress-plugin-search-block-wp'
+								) }
+							</p>
 
-						{ modalPlugin.screenshots &&
-							modalPlugin.screenshots.length > 1 && (
-								<div
-									style={ {
-										display: 'flex',
-										justifyContent: 'space-between',
-										alignItems: 'center',
-										marginTop: '1rem',
-										padding: '0 1rem',
-									} }
-								>
-									<Button
-										isSecondary
-										onClick={ () => navigateModal( -1 ) }
-										disabled={ modalImageIndex === 0 }
-									>
-										{ __(
-											'Previous',
-											'wordpress-plugin-search-block-wp'
-										) }
-									</Button>
-
-									<span
-										style={ {
-											color: '#666',
-											fontSize: '0.9rem',
-										} }
-									>
-										{ modalImageIndex + 1 } /{ ' ' }
-										{ modalPlugin.screenshots.length }
-									</span>
-
-									<Button
-										isSecondary
-										onClick={ () => navigateModal( 1 ) }
-										disabled={
-											modalImageIndex ===
-											modalPlugin.screenshots.length - 1
-										}
-									>
-										{ __(
-											'Next',
-											'wordpress-plugin-search-block-wp'
-										) }
-									</Button>
-								</div>
+							<SelectControl
+								label={ __(
+									'Minimum Rating',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ minRating }
+								options={ ratingOptions }
+								onChange={ ( value ) =>
+									setAttributes( {
+										minRating: parseInt( value ),
+									} )
+								}
+							/>
+
+							<SelectControl
+								label={ __(
+									'Minimum Active Installs',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ minInstalls }
+								options={ installsOptions }
+								onChange={ ( value ) =>
+									setAttributes( {
+										minInstalls: parseInt( value ),
+									} )
+								}
+							/>
+
+							<SelectControl
+								label={ __(
+									'Last Updated',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ updatedWithin }
+								options={ updatedWithinOptions }
+								onChange={ ( value ) =>
+									setAttributes( {
+										updatedWithin: parseInt( value ),
+									} )
+								}
+							/>
+
+							<TextControl
+								label={ __(
+									'Tested With WordPress',
+									'wordpress-plugin-search-block-wp'
+								) }
+								value={ testedWith }
+								onChange={ ( value ) =>
+									setAttributes( {
+										testedWith: value.trim(),
+									} )
+								}
+								help={ __(
+									'Only show plugins tested with at least this version, e.g. "6.5".',
+									'wordpress-plugin-search-block-wp'
+								) }
+							/>
+						</PanelBody>
+					</>
+				) }
+			</InspectorControls>
+
+			<div { ...useBlockProps() }>
+				{ error && (
+					<Notice status="error" isDismissible={ false }>
+						{ __(
+							'Error loading plugins:',
+							'wordpress-plugin-search-block-wp'
+						) }{ ' ' }
+						{ error }
+					</Notice>
+				) }
+
+				{ isLoading && (
+					<div className="wps-loading">
+						<Spinner />
+						<p>
+							{ __(
+								'Loading plugin directory…',
+								'wordpress-plugin-search-block-wp'
 							) }
+						</p>
 					</div>
-				</Modal>
-			) }
+				) }
+
+				<div className="wps-editor-preview" ref={ previewRef } />
+			</div>
 		</>
 	);
 }
@@ -0,0 +1,117 @@
+/**
+ * Hidden gems - well rated, recently updated plugins few sites use yet.
+ *
+ * Mirrored by wordpress_plugin_search_is_hidden_gem() in PHP, which finds
+ * the gems for the Hidden Gems sort order and badges server-rendered cards.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { parseLastUpdated } from './plugin-filters';
+
+/**
+ * Thresholds used when neither the block nor the site sets any.
+ */
+export const DEFAULT_GEM_CRITERIA = {
+	minRating: 80,
+	maxInstalls: 10000,
+	maxAgeDays: 365,
+};
+
+/**
+ * A day in milliseconds.
+ */
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize raw thresholds, such as block attributes or data attributes.
+ *
+ * Missing or empty values fall back, so a block only overrides the site
+ * settings it sets.
+ *
+ * @param {Object} values             - Raw values
+ * @param {*}      values.minRating   - Minimum rating as a percentage
+ * @param {*}      values.maxInstalls - Active installs a gem stays under
+ * @param {*}      values.maxAgeDays  - Days since the last update
+ * @param {Object} fallback           - Criteria for the missing values
+ * @return {Object} Criteria with the same keys
+ */
+export function getGemCriteria(
+	{ minRating, maxInstalls, maxAgeDays } = {},
+	fallback = DEFAULT_GEM_CRITERIA
+) {
+	const toNumber = ( value, fallbackValue, min, max ) => {
+		const number = parseInt( value, 10 );
+		return Number.isNaN( number )
+			? fallbackValue
+			: Math.max( min, Math.min( max, number ) );
+	};
+
+	return {
+		minRating: toNumber( minRating, fallback.minRating, 0, 100 ),
+		maxInstalls: toNumber(
+			maxInstalls,
+			fallback.maxInstalls,
+			0,
+			Number.MAX_SAFE_INTEGER
+		),
+		maxAgeDays: toNumber(
+			maxAgeDays,
+			fallback.maxAgeDays,
+			1,
+			Number.MAX_SAFE_INTEGER
+		),
+	};
+}
+
+/**
+ * Proxy query parameters for the Hidden Gems sort order.
+ *
+ * @param {Object} criteria - Criteria from getGemCriteria()
+ * @return {Object} Parameters keyed by REST argument name
+ */
+export function getGemCriteriaParams( criteria ) {
+	return {
+		gem_min_rating: String( criteria.minRating ),
+		gem_max_installs: String( criteria.maxInstalls ),
+		gem_max_age: String( criteria.maxAgeDays ),
+	};
+}
+
+/**
+ * Whether a plugin is a hidden gem.
+ *
+ * @param {Object} plugin   - Plugin card data
+ * @param {Object} criteria - Criteria from getGemCriteria()
+ * @return {boolean} True for a well rated, recently updated, little used plugin
+ */
+export function isHiddenGem( plugin, criteria ) {
+	// Unrated plugins never qualify, whatever the minimum
+	if ( ! plugin.rating || ! ( plugin.rating >= criteria.minRating ) ) {
+		return false;
+	}
+
+	if ( ( parseInt( plugin.active_installs ) || 0 ) >= criteria.maxInstalls ) {
+		return false;
+	}
+
+	const updated = parseLastUpdated( plugin.last_updated );
+
+	return updated >= Date.now() - criteria.maxAgeDays * DAY_IN_MS;
+}
+
+/**
+ * Explain why a plugin counts as a hidden gem, for the badge tooltip.
+ *
+ * @param {Object} plugin   - Plugin card data
+ * @param {Object} criteria - Criteria from getGemCriteria()
+ * @return {string} Reason text
+ */
+export function getHiddenGemReason( plugin, criteria ) {
+	return `Rated ${ ( plugin.rating / 20 ).toFixed(
+		1
+	) } out of 5, under ${ criteria.maxInstalls.toLocaleString() } active installs and updated in the last ${
+		criteria.maxAgeDays
+	} days`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Quality filters - minimum rating, minimum installs, recent updates and
+ * tested WordPress version.
+ *
+ * Mirrored by wordpress_plugin_search_get_query_filter() in PHP, which
+ * applies the same checks while scanning feeds so result pages stay full.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { compareVersions, normalizeVersion } from './compatibility';
+
+/**
+ * Star ratings offered as a minimum, highest first.
+ */
+export const RATING_THRESHOLDS = [ 5, 4, 3, 2, 1 ];
+
+/**
+ * Active install counts offered as a minimum, highest first.
+ */
+export const INSTALL_THRESHOLDS = [ 1000000, 100000, 10000, 1000 ];
+
+/**
+ * Update windows offered, in months.
+ */
+export const UPDATED_WITHIN_MONTHS = [ 1, 3, 6, 12, 24 ];
+
+/**
+ * A month as PHP's MONTH_IN_SECONDS counts it, in milliseconds.
+ */
+const MONTH_IN_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize raw filter values, such as block attributes or URL values.
+ *
+ * @param {Object} values               - Raw values
+ * @param {*}      values.minRating     - Minimum stars, 0 for any
+ * @param {*}      values.minInstalls   - Minimum active installs, 0 for any
+ * @param {*}      values.updatedWithin - Months since the last update, 0 for any
+ * @param {*}      values.testedWith    - Lowest "Tested up to" WordPress version
+ * @return {Object} Filters with the same keys
+ */
+export function getQualityFilters( {
+	minRating,
+	minInstalls,
+	updatedWithin,
+	testedWith,
+} = {} ) {
+	const toNumber = ( value, max ) =>
+		Math.max( 0, Math.min( max, parseInt( value, 10 ) || 0 ) );
+
+	return {
+		minRating: toNumber( minRating, 5 ),
+		minInstalls: toNumber( minInstalls, Number.MAX_SAFE_INTEGER ),
+		updatedWithin: toNumber( updatedWithin, 120 ),
+		testedWith: normalizeVersion( testedWith, 2 ),
+	};
+}
+
+/**
+ * Proxy query parameters for the filters that are set.
+ *
+ * @param {Object} filters - Filters from getQualityFilters()
+ * @return {Object} Parameters keyed by REST argument name
+ */
+export function getQualityFilterParams( filters ) {
+	const params = {};
+
+	if ( filters.minRating ) {
+		params.min_rating = String( filters.minRating );
+	}
+	if ( filters.minInstalls ) {
+		params.min_installs = String( filters.minInstalls );
+	}
+	if ( filters.updatedWithin ) {
+		params.updated_within = String( filters.updatedWithin );
+	}
+	if ( filters.testedWith ) {
+		params.tested_wp = filters.testedWith;
+	}
+
+	return params;
+}
+
+/**
+ * Read the date from a WordPress.org "last updated" value.
+ *
+ * The API sends values like "2025-05-01 3:04pm GMT", which browsers don't
+ * agree on parsing, so only the date is used.
+ *
+ * @param {string} lastUpdated - Raw last updated value
+ * @return {number} Timestamp in milliseconds, or NaN when unreadable
+ */
+export function parseLastUpdated( lastUpdated ) {
+	const match = String( lastUpdated || '' ).match( /^\d{4}-\d{2}-\d{2}/ );
+
+	return match ? Date.parse( `${ match[ 0 ] }T00:00:00Z` ) : NaN;
+}
+
+/**
+ * Whether a plugin passes every filter that is set.
+ *
+ * @param {Object} plugin  - Plugin card data
+ * @param {Object} filters - Filters from getQualityFilters()
+ * @return {boolean} True when the plugin should be shown
+ */
+export function matchesQualityFilters( plugin, filters ) {
+	// Ratings are a percentage, 20 points per star
+	if ( filters.minRating && ! ( plugin.rating >= filters.minRating * 20 ) ) {
+		return false;
+	}
+
+	if (
+		filters.minInstalls &&
+		! ( plugin.active_installs >= filters.minInstalls )
+	) {
+		return false;
+	}
+
+	if ( filters.updatedWithin ) {
+		const updated = parseLastUpdated( plugin.last_updated );
+		if (
+			! ( updated >= Date.now() - filters.updatedWithin * MONTH_IN_MS )
+		) {
+			return false;
+		}
+	}
+
+	// "Tested up to 6.8" covers every 6.8.x release
+	if ( filters.testedWith ) {
+		const tested = normalizeVersion( plugin.tested, 2 );
+		if ( ! tested || compareVersions( tested, filters.testedWith ) < 0 ) {
+			return false;
+		}
+	}
+
+	return true;
+}
@@ -0,0 +1,77 @@
+/**
+ * Helpers for the icon and banner images returned by the WordPress.org API.
+ *
+ * Shared by the editor preview and the front end so both pick the same
+ * image for a plugin.
+ */
+
+/**
+ * Card layouts available in the block settings.
+ */
+export const CARD_LAYOUTS = [ 'screenshot', 'icon', 'banner' ];
+
+/**
+ * Normalize a card layout value, falling back to screenshot-first.
+ *
+ * @param {string} layout - Raw layout value
+ * @return {string} One of CARD_LAYOUTS
+ */
+export function getCardLayout( layout ) {
+	return CARD_LAYOUTS.includes( layout ) ? layout : 'screenshot';
+}
+
+/**
+ * Pick the best icon for a plugin.
+ *
+ * An SVG icon scales to any size, so it wins outright. Otherwise the 1x
+ * and 2x PNGs are combined into a srcset, with the directory's generated
+ * "default" icon as the last resort.
+ *
+ * @param {Object} icons - Icons keyed by size ('svg', '1x', '2x', 'default')
+ * @return {Object|null} Object with src and srcset, or null without icons
+ */
+export function getPluginIcon( icons ) {
+	if ( ! icons || typeof icons !== 'object' ) {
+		return null;
+	}
+
+	if ( icons.svg ) {
+		return { src: icons.svg, srcset: '' };
+	}
+
+	const src = icons[ '1x' ] || icons[ '2x' ] || icons.default;
+	if ( ! src ) {
+		return null;
+	}
+
+	const srcset =
+		icons[ '1x' ] && icons[ '2x' ]
+			? `${ icons[ '1x' ] } 1x, ${ icons[ '2x' ] } 2x`
+			: '';
+
+	return { src, srcset };
+}
+
+/**
+ * Pick the best banner for a plugin.
+ *
+ * @param {Object} banners - Banners keyed by size ('low', 'high')
+ * @return {Object|null} Object with src and srcset, or null without banners
+ */
+export function getPluginBanner( banners ) {
+	if ( ! banners || typeof banners !== 'object' ) {
+		return null;
+	}
+
+	const src = banners.low || banners.high;
+	if ( ! src ) {
+		return null;
+	}
+
+	const srcset =
+		banners.low && banners.high
+			? `${ banners.low } 1x, ${ banners.high } 2x`
+			: '';
+
+	return { src, srcset };
+}
@@ -0,0 +1,5038 @@
+/**
+ * The plugin directory interface - search, filters, results and dialogs.
+ *
+ * Mounted on every block by view.js, and on the block preview by the editor
+ * so authors see exactly what visitors get.
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getCardLayout, getPluginBanner, getPluginIcon } from './plugin-media';
+import { HIDDEN_GEMS, getSortOptions } from './sort-options';
+import {
+	getCompatibilityBadges,
+	getCompatibilitySource,
+	normalizeVersion,
+} from './compatibility';
+import {
+	INSTALL_THRESHOLDS,
+	RATING_THRESHOLDS,
+	UPDATED_WITHIN_MONTHS,
+	getQualityFilterParams,
+	getQualityFilters,
+	matchesQualityFilters,
+} from './plugin-filters';
+import {
+	getGemCriteria,
+	getGemCriteriaParams,
+	getHiddenGemReason,
+	isHiddenGem,
+} from './hidden-gems';
+
+/**
+ * Unprefixed query-string keys that make up a block's shareable state
+ */
+const URL_STATE_KEYS = [
+	'q',
+	'sort',
+	'order',
+	'tag',
+	'author',
+	'user',
+	'screenshots',
+	'compatible',
+	'rating',
+	'installs',
+	'updated',
+	'tested',
+	'page',
+];
+
+/**
+ * Query-string keys for the quality filters, by filter name
+ */
+const QUALITY_URL_KEYS = {
+	minRating: 'rating',
+	minInstalls: 'installs',
+	updatedWithin: 'updated',
+	testedWith: 'tested',
+};
+
+/**
+ * Deepest results page restored by loading pages one request at a time
+ */
+const MAX_RESTORED_PAGES = 10;
+
+/**
+ * sessionStorage key prefix for cached proxy responses
+ */
+const CLIENT_CACHE_PREFIX = 'wps-cache:';
+
+/**
+ * How long a cached proxy response is reused, in milliseconds
+ */
+const CLIENT_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Automatic retries after the proxy's rate limit answers 429
+ */
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * localStorage key for the versions visitors enter for compatibility badges
+ */
+const VISITOR_VERSIONS_KEY = 'wps-compat-versions';
+
+/**
+ * Most plugins the comparison tray holds at once
+ */
+const MAX_COMPARE_PLUGINS = 4;
+
+/**
+ * localStorage key for anonymous visitors' shortlists
+ */
+const SHORTLIST_KEY = 'wps-shortlist';
+
+/**
+ * Most plugins a shortlist holds - one /plugins request's worth
+ */
+const MAX_SHORTLIST_PLUGINS = 50;
+
+/**
+ * Plugin Search Interface with robust custom lightbox
+ */
+export class PluginSearchInterface {
+	/**
+	 * @param {HTMLElement} blockElement    - Block wrapper rendered by render.php
+	 * @param {number}      index           - Position among the page's blocks
+	 * @param {Object}      options         - Interface options
+	 * @param {boolean}     options.preview - Editor preview, which leaves the page URL alone
+	 */
+	constructor( blockElement, index = 0, { preview = false } = {} ) {
+		this.block = blockElement;
+		// Serialized responses by cache key, mirrored to sessionStorage
+		this.cache = new Map();
+		this.currentRequest = null;
+		this.searchTimeout = null;
+		this.searchInterrupted = false;
+		this.rateLimitRetries = 0;
+
+		// Get nonce from WordPress
+		this.restNonce =
+			window.wpApiSettings?.nonce || this.block.dataset.restNonce || '';
+
+		// Get block attributes
+		this.attributes = this.getBlockAttributes();
+
+		// Responses cached under other attributes no longer apply
+		this.cacheScope = JSON.stringify( this.attributes );
+		this.pruneCache();
+
+		// Simplified state for browse-only
+		this.state = {
+			currentPage: 1,
+			resultsPerPage: Math.max(
+				1,
+				Math.min(
+					100,
+					parseInt( this.attributes.resultsPerPage ) || 12
+				)
+			),
+			sortBy: this.attributes.defaultSort || 'popular',
+			// Secondary sort the proxy applies within the feed, empty for feed order
+			orderBy: '',
+			// Feed plugins a secondary sort was computed over
+			sortedFrom: 0,
+			searchTerm: '',
+			// Directory filters - pinned values from the block win over visitor input
+			filters: {
+				tag: this.attributes.tag,
+				author: this.attributes.author,
+				user: this.attributes.user,
+			},
+			// Minimum rating, installs, update age and tested version
+			quality: { ...this.attributes.qualityFilters },
+			onlyWithScreenshots: false, // Start unchecked by default
+			onlyCompatible: false,
+			// WordPress and PHP versions the compatibility badges compare against
+			versions: this.getInitialVersions(),
+			isLoading: false,
+			plugins: [],
+			totalResults: 0,
+			totalPages: 0,
+			resultsEstimated: false,
+			// Set when the proxy fell back to cached data WordPress.org couldn't refresh
+			stale: false,
+			// Curated lists are fixed by the editor, so there is nothing to filter
+			showFilters:
+				this.attributes.showFilters !== false && ! this.isCuratedMode(),
+			hasMorePages: false,
+			isLoadingMore: false,
+		};
+
+		// Lightbox state - simplified and more robust
+		this.lightbox = {
+			element: null,
+			isOpen: false,
+			currentPlugin: null,
+			currentIndex: 0,
+			screenshots: [],
+		};
+
+		// Query-string state - the first block keeps the short wps_ prefix.
+		// The editor's URL isn't the page's, so previews neither read nor write it.
+		this.urlState = {
+			prefix: index === 0 ? 'wps_' : `wps${ index + 1 }_`,
+			enabled: ! preview,
+			restoring: false,
+		};
+
+		// Infinite scroll state
+		this.infiniteScroll = {
+			observer: null,
+			visible: false,
+			filling: false,
+		};
+
+		// Plugin detail dialog state
+		this.details = {
+			element: null,
+			currentSlug: null,
+			cache: new Map(),
+			request: null,
+		};
+
+		// Comparison tray state - plugin data is kept by slug so the
+		// selection survives new searches
+		this.compare = {
+			slugs: [],
+			plugins: new Map(),
+			request: null,
+			// Set when the last request for compared plugins failed
+			failed: false,
+		};
+
+		// Shortlist state - active while the "My shortlist" view is shown
+		this.shortlist = {
+			slugs: this.readLocalShortlist(),
+			active: false,
+			// Saves wait until a logged-in visitor's shortlist has loaded
+			loaded: false,
+			loading: false,
+			// Slugs unstarred before then, kept out of the loaded list
+			removed: new Set(),
+			request: null,
+		};
+
+		this.init();
+	}
+
+	/**
+	 * Create a temporary DOM element to decode HTML entities safely
+	 *
+	 * @param {string} str - The string to decode
+	 * @return {string} Decoded string
+	 */
+	decodeHtmlEntities( str ) {
+		if ( typeof str !== 'string' ) {
+			return str;
+		}
+
+		// Use DOMParser for safer HTML entity decoding
+		// eslint-disable-next-line no-undef
+		const parser = new DOMParser();
+		const doc = parser.parseFromString(
+			`<!doctype html><body>${ str }`,
+			'text/html'
+		);
+		return doc.body.textContent || '';
+	}
+
+	/**
+	 * Sanitize input to prevent XSS
+	 *
+	 * @param {string} input - The input to sanitize
+	 * @return {string} Sanitized input
+	 */
+	sanitizeInput( input ) {
+		if ( typeof input !== 'string' ) {
+			return '';
+		}
+		return input
+			.replace( /<[^>]*>/g, '' )
+			.replace( /[<>"'&]/g, function ( match ) {
+				const escapeMap = {
+					'<': '&lt;',
+					'>': '&gt;',
+					'"': '&quot;',
+					"'": '&#x27;',
+					'&': '&amp;',
+				};
+				return escapeMap[ match ];
+			} )
+			.trim();
+	}
+
+	/**
+	 * Sanitize and decode text for display
+	 *
+	 * @param {string} text - The text to sanitize and decode
+	 * @return {string} Sanitized and decoded text
+	 */
+	sanitizeAndDecodeText( text ) {
+		if ( typeof text !== 'string' ) {
+			return '';
+		}
+
+		// First decode HTML entities, then remove any HTML tags, then trim
+		let decoded = this.decodeHtmlEntities( text );
+		decoded = decoded.replace( /<[^>]*>/g, '' );
+		return decoded.trim();
+	}
+
+	/**
+	 * Get block attributes
+	 */
+	getBlockAttributes() {
+		const data = this.block.dataset;
+
+		return {
+			resultsPerPage: Math.max(
+				1,
+				Math.min( 100, parseInt( data.resultsPerPage ) || 12 )
+			),
+			defaultSort: data.defaultSort || 'popular',
+			showFilters: data.showFilters !== 'false',
+			tag: data.tag || '',
+			author: data.author || '',
+			user: data.user || '',
+			mode: data.mode === 'curated' ? 'curated' : 'browse',
+			cardLayout: getCardLayout( data.cardLayout ),
+			pagination: this.getPaginationMode( data.pagination ),
+			slugs: ( data.slugs || '' )
+				.split( ',' )
+				.map( ( slug ) => slug.trim() )
+				.filter( Boolean ),
+			// Feeds visitors may pick - the block's choice within the site-wide settings
+			browseTypes: ( data.browseTypes || '' )
+				.split( ',' )
+				.filter( Boolean ),
+			// The block's thresholds, already merged over the site settings
+			hiddenGems: getGemCriteria( {
+				minRating: data.gemMinRating,
+				maxInstalls: data.gemMaxInstalls,
+				maxAgeDays: data.gemMaxAge,
+			} ),
+			// Default quality filters - unlike the directory filters, visitors can change these
+			qualityFilters: getQualityFilters( {
+				minRating: data.minRating,
+				minInstalls: data.minInstalls,
+				updatedWithin: data.updatedWithin,
+				testedWith: data.testedWith,
+			} ),
+			compatibility: getCompatibilitySource( data.compatibility ),
+			// Logged-in visitors keep their shortlist in user meta
+			shortlistStorage: data.shortlist === 'user' ? 'user' : 'local',
+			siteVersions: {
+				wp: normalizeVersion( data.wpVersion ),
+				php: normalizeVersion( data.phpVersion, 2 ),
+			},
+		};
+	}
+
+	/**
+	 * Versions to check compatibility against when the block loads
+	 *
+	 * @return {Object} Object with wp and php version strings
+	 */
+	getInitialVersions() {
+		if ( this.attributes.compatibility === 'site' ) {
+			return { ...this.attributes.siteVersions };
+		}
+
+		if ( this.attributes.compatibility === 'visitor' ) {
+			try {
+				const saved = JSON.parse(
+					window.localStorage.getItem( VISITOR_VERSIONS_KEY )
+				);
+				return {
+					wp: normalizeVersion( saved?.wp ),
+					php: normalizeVersion( saved?.php, 2 ),
+				};
+			} catch ( error ) {
+				// Storage blocked or unreadable - start empty
+			}
+		}
+
+		return { wp: '', php: '' };
+	}
+
+	/**
+	 * Whether there are any versions to compare plugins against
+	 *
+	 * @return {boolean} True when a WordPress or PHP version is known
+	 */
+	hasVersions() {
+		return Boolean( this.state.versions.wp || this.state.versions.php );
+	}
+
+	/**
+	 * Normalize the pagination mode chosen in the block settings
+	 *
+	 * @param {string} mode - Raw pagination mode
+	 * @return {string} 'load-more', 'numbered' or 'infinite'
+	 */
+	getPaginationMode( mode ) {
+		if ( mode === 'numbered' ) {
+			return mode;
+		}
+
+		// Infinite scroll needs IntersectionObserver - fall back to the button
+		if ( mode === 'infinite' && 'IntersectionObserver' in window ) {
+			return mode;
+		}
+
+		return 'load-more';
+	}
+
+	/**
+	 * Whether the block shows an editor-picked list of plugins
+	 *
+	 * @return {boolean} True in curated list mode
+	 */
+	isCuratedMode() {
+		return this.attributes.mode === 'curated';
+	}
+
+	/**
+	 * Initialize the interface
+	 */
+	async init() {
+		try {
+			const initialResults = this.readInitialResults();
+			const targetPage = this.applyUrlState();
+
+			this.renderInterface();
+			this.createLightboxHTML();
+			this.createDetailsDialog();
+			this.createCompareTray();
+			this.createCompareDialog();
+			this.bindEvents();
+			this.observeInfiniteScroll();
+			this.openDeepLinkedPlugin();
+			this.openSharedComparison();
+			this.loadShortlist();
+
+			this.state.currentPage = this.getStartPage( targetPage );
+
+			this.urlState.restoring = true;
+			try {
+				// The first page was rendered by the server - pick it up instead of refetching
+				if (
+					initialResults &&
+					! this.hasActiveFilters() &&
+					this.state.currentPage === 1
+				) {
+					this.hydrateResults( initialResults );
+				} else {
+					await this.performSearch();
+				}
+				await this.loadPagesUpTo( targetPage );
+			} finally {
+				this.urlState.restoring = false;
+			}
+
+			// Pick up any scrolling that happened while the first pages loaded
+			if ( this.infiniteScroll.visible ) {
+				this.fillInfiniteScroll();
+			}
+		} catch ( error ) {
+			// Error initializing plugin search
+			this.renderError( 'Failed to initialize search interface.' );
+		}
+	}
+
+	/**
+	 * Stop the interface's requests, timers and listeners and empty the block
+	 *
+	 * The editor preview mounts a fresh interface whenever the block's
+	 * settings change, and throws the old one away with this.
+	 */
+	destroy() {
+		clearTimeout( this.searchTimeout );
+
+		[
+			this.currentRequest,
+			this.details.request,
+			this.compare.request,
+			this.shortlist.request,
+		].forEach( ( request ) => request?.abort() );
+
+		this.infiniteScroll.observer?.disconnect();
+
+		if ( this.lightbox.onKeydown ) {
+			this.block.ownerDocument.removeEventListener(
+				'keydown',
+				this.lightbox.onKeydown
+			);
+		}
+		this.lightbox.element?.remove();
+
+		this.block.innerHTML = '';
+	}
+
+	/**
+	 * Read the first page of results embedded by render.php
+	 *
+	 * @return {Object|null} Response with info and plugins, or null
+	 */
+	readInitialResults() {
+		const script = this.block.querySelector( 'script.wps-initial-results' );
+		if ( ! script ) {
+			return null;
+		}
+
+		try {
+			const data = JSON.parse( script.textContent );
+			return data && Array.isArray( data.plugins ) ? data : null;
+		} catch ( error ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Adopt the server-rendered cards as the current results
+	 *
+	 * @param {Object} data - Response embedded by render.php
+	 */
+	hydrateResults( data ) {
+		// Coming back to the first page later shouldn't refetch it
+		const { endpoint, params } = this.buildRequest();
+		this.writeCache( this.getCacheKey( endpoint, params ), data );
+
+		this.applyResults( data );
+
+		const items = this.elements.grid.querySelectorAll(
+			'.wps-plugin-item[data-slug]'
+		);
+
+		if ( items.length === 0 ) {
+			// Nothing to adopt, e.g. an empty curated list
+			this.renderResults();
+		}
+
+		items.forEach( ( item ) => {
+			const index = this.state.plugins.findIndex(
+				( plugin ) => plugin.slug === item.dataset.slug
+			);
+
+			if ( index === -1 ) {
+				item.remove();
+				return;
+			}
+
+			this.hydratePluginItem( item, this.state.plugins[ index ], index );
+		} );
+
+		this.updateLoadMoreButton();
+		this.updateResultsInfo();
+	}
+
+	/**
+	 * Create safe HTML element
+	 *
+	 * @param {string} tag - The HTML tag name
+	 * @param {Object} attributes - Element attributes
+	 * @param {string} textContent - Text content for the element
+	 * @return {HTMLElement} Created element
+	 */
+	createElement( tag, attributes = {}, textContent = '' ) {
+		const element = document.createElement( tag );
+
+		for ( const [ key, value ] of Object.entries( attributes ) ) {
+			if ( typeof value === 'string' || typeof value === 'number' ) {
+				element.setAttribute( key, value );
+			}
+		}
+
+		if ( textContent ) {
+			element.textContent = textContent;
+		}
+
+		return element;
+	}
+
+	/**
+	 * Create WordPress button structure
+	 *
+	 * @param {string} text - Button text
+	 * @param {Function} clickHandler - Click event handler
+	 * @param {string} classes - Additional CSS classes
+	 * @return {Object} Object with container and link elements
+	 */
+	createButton( text, clickHandler, classes = '' ) {
+		const buttonContainer = this.createElement( 'div', {
+			class: 'wp-block-button',
+		} );
+		const buttonLink = this.createElement(
+			'a',
+			{
+				class: `wp-block-button__link wp-element-button ${ classes }`.trim(),
+				tabindex: '0',
+				role: 'button',
+			},
+			text
+		);
+
+		// Add click handler
+		buttonLink.addEventListener( 'click', ( e ) => {
+			e.preventDefault();
+			clickHandler( e );
+		} );
+
+		// Add keyboard handler
+		buttonLink.addEventListener( 'keydown', ( e ) => {
+			if ( e.key === 'Enter' || e.key === ' ' ) {
+				e.preventDefault();
+				clickHandler( e );
+			}
+		} );
+
+		buttonContainer.appendChild( buttonLink );
+		return { container: buttonContainer, link: buttonLink };
+	}
+
+	/**
+	 * Create robust lightbox HTML structure
+	 */
+	createLightboxHTML() {
+		// Remove any existing lightbox - the editor preview lives in an iframe,
+		// so the block's own document is the one to use
+		const existingLightbox =
+			this.block.ownerDocument.querySelector( '.wps-lightbox' );
+		if ( existingLightbox ) {
+			existingLightbox.remove();
+		}
+
+		// Create lightbox container
+		const lightbox = this.createElement( 'div', {
+			class: 'wps-lightbox',
+			style: 'display: none; position: fixed; top: 0; left: 0; width: 100vw; height: 100vh; background: rgba(0,0,0,0.9); z-index: 999999; align-items: center; justify-content: center; padding: 20px; box-sizing: border-box;',
+		} );
+
+		// Create content container
+		const content = this.createElement( 'div', {
+			class: 'wps-lightbox-content',
+			style: 'position: relative; max-width: 90vw; max-height: 90vh; background: white; border-radius: 8px; overflow: hidden; display: flex; flex-direction: column;',
+		} );
+
+		// Header with title and close button
+		const header = this.createElement( 'div', {
+			class: 'wps-lightbox-header',
+			style: 'padding: 1rem 1.5rem; border-bottom: 1px solid #e0e0e0; display: flex; justify-content: space-between; align-items: center; background: #f8f9fa;',
+		} );
+
+		const title = this.createElement( 'h3', {
+			class: 'wps-lightbox-title',
+			style: 'margin: 0; font-size: 1.2rem; color: #333; flex: 1;',
+		} );
+
+		// FIXED: Better close button positioning with higher z-index
+		const closeButton = this.createElement(
+			'button',
+			{
+				class: 'wps-lightbox-close',
+				style: 'background: none; border: none; font-size: 24px; cursor: pointer; padding: 8px; border-radius: 4px; color: #666; z-index: 100; position: relative;',
+				'aria-label': 'Close lightbox',
+			},
+			'×'
+		);
+
+		header.appendChild( title );
+		header.appendChild( closeButton );
+
+		// Image container
+		const imageContainer = this.createElement( 'div', {
+			class: 'wps-lightbox-image-container',
+			style: 'flex: 1; display: flex; align-items: center; justify-content: center; position: relative; background: #f8f9fa; padding: 2rem; min-height: 400px;',
+		} );
+
+		const image = this.createElement( 'img', {
+			class: 'wps-lightbox-image',
+			style: 'max-width: 100%; max-height: 100%; object-fit: contain; box-shadow: 0 4px 12px rgba(0,0,0,0.15); border-radius: 4px;',
+		} );
+
+		// Navigation buttons
+		const prevButton = this.createElement(
+			'button',
+			{
+				class: 'wps-lightbox-prev',
+				style: 'position: absolute; left: 1rem; top: 50%; transform: translateY(-50%); background: rgba(0,0,0,0.6); color: white; border: none; border-radius: 50%; width: 50px; height: 50px; font-size: 20px; cursor: pointer; display: flex; align-items: center; justify-content: center; z-index: 10;',
+				'aria-label': 'Previous image',
+			},
+			'‹'
+		);
+
+		const nextButton = this.createElement(
+			'button',
+			{
+				class: 'wps-lightbox-next',
+				style: 'position: absolute; right: 1rem; top: 50%; transform: translateY(-50%); background: rgba(0,0,0,0.6); color: white; border: none; border-radius: 50%; width: 50px; height: 50px; font-size: 20px; cursor: pointer; display: flex; align-items: center; justify-content: center; z-index: 10;',
+				'aria-label': 'Next image',
+			},
+			'›'
+		);
+
+		imageContainer.appendChild( image );
+		imageContainer.appendChild( prevButton );
+		imageContainer.appendChild( nextButton );
+
+		// Caption from the plugin readme
+		const caption = this.createElement( 'p', {
+			class: 'wps-lightbox-caption',
+			style: 'margin: 0; padding: 0.75rem 1.5rem 0; text-align: center; background: white; font-size: 0.95rem; color: #333; line-height: 1.4;',
+		} );
+
+		// Footer with counter
+		const footer = this.createElement( 'div', {
+			class: 'wps-lightbox-footer',
+			style: 'padding: 1rem; text-align: center; background: white; border-top: 1px solid #e0e0e0; font-size: 0.9rem; color: #666;',
+		} );
+
+		// Assemble lightbox
+		content.appendChild( header );
+		content.appendChild( imageContainer );
+		content.appendChild( caption );
+		content.appendChild( footer );
+		lightbox.appendChild( content );
+
+		// Add to body
+		this.block.ownerDocument.body.appendChild( lightbox );
+
+		// Store references
+		this.lightbox.element = lightbox;
+		this.lightbox.title = title;
+		this.lightbox.image = image;
+		this.lightbox.caption = caption;
+		this.lightbox.footer = footer;
+		this.lightbox.closeButton = closeButton;
+		this.lightbox.prevButton = prevButton;
+		this.lightbox.nextButton = nextButton;
+
+		// Bind lightbox events
+		this.bindLightboxEvents();
+	}
+
+	/**
+	 * Bind lightbox events with robust error handling
+	 */
+	bindLightboxEvents() {
+		if ( ! this.lightbox.element ) {
+			console.error( 'Lightbox element not found for event binding' );
+			return;
+		}
+
+		try {
+			// Close button
+			this.lightbox.closeButton.addEventListener( 'click', ( e ) => {
+				e.preventDefault();
+				e.stopPropagation();
+				this.closeLightbox();
+			} );
+
+			// Navigation buttons
+			this.lightbox.prevButton.addEventListener( 'click', ( e ) => {
+				e.preventDefault();
+				e.stopPropagation();
+				this.navigateLightbox( -1 );
+			} );
+
+			this.lightbox.nextButton.addEventListener( 'click', ( e ) => {
+				e.preventDefault();
+				e.stopPropagation();
+				this.navigateLightbox( 1 );
+			} );
+
+			// Click outside to close
+			this.lightbox.element.addEventListener( 'click', ( e ) => {
+				if ( e.target === this.lightbox.element ) {
+					this.closeLightbox();
+				}
+			} );
+
+			// Keyboard navigation - kept so destroy() can remove it
+			this.lightbox.onKeydown = ( e ) => {
+				if ( ! this.lightbox.isOpen ) {
+					return;
+				}
+
+				switch ( e.key ) {
+					case 'Escape':
+						e.preventDefault();
+						this.closeLightbox();
+						break;
+					case 'ArrowLeft':
+						e.preventDefault();
+						this.navigateLightbox( -1 );
+						break;
+					case 'ArrowRight':
+						e.preventDefault();
+						this.navigateLightbox( 1 );
+						break;
+				}
+			};
+			this.block.ownerDocument.addEventListener(
+				'keydown',
+				this.lightbox.onKeydown
+			);
+		} catch ( error ) {
+			// Error binding lightbox events
+		}
+	}
+
+	/**
+	 * Open lightbox with plugin screenshots
+	 *
+	 * @param {Object} plugin - Plugin object with screenshots
+	 * @param {number} initialIndex - Initial screenshot index to display
+	 */
+	openLightbox( plugin, initialIndex = 0 ) {
+		if ( ! this.lightbox.element ) {
+			// Lightbox element not found
+			return;
+		}
+
+		if (
+			! plugin ||
+			! plugin.screenshots ||
+			plugin.screenshots.length === 0
+		) {
+			console.warn( 'Plugin has no screenshots' );
+			return;
+		}
+
+		try {
+			this.lightbox.isOpen = true;
+			this.lightbox.currentPlugin = plugin;
+			this.lightbox.screenshots = plugin.screenshots;
+			this.lightbox.currentIndex = Math.max(
+				0,
+				Math.min( initialIndex, plugin.screenshots.length - 1 )
+			);
+
+			// Update content
+			const pluginName = this.sanitizeAndDecodeText(
+				plugin.name || 'Plugin'
+			);
+			this.lightbox.title.textContent = pluginName;
+
+			this.updateLightboxImage();
+
+			// Show lightbox
+			this.lightbox.element.style.display = 'flex';
+			this.block.ownerDocument.body.style.overflow = 'hidden';
+
+			// Focus close button for accessibility
+			setTimeout( () => {
+				this.lightbox.closeButton?.focus();
+			}, 100 );
+		} catch ( error ) {
+			// Error opening lightbox
+		}
+	}
+
+	/**
+	 * Close lightbox
+	 */
+	closeLightbox() {
+		if ( ! this.lightbox.element || ! this.lightbox.isOpen ) {
+			return;
+		}
+
+		try {
+			this.lightbox.isOpen = false;
+			this.lightbox.currentPlugin = null;
+			this.lightbox.screenshots = [];
+
+			this.lightbox.element.style.display = 'none';
+			this.block.ownerDocument.body.style.overflow = '';
+		} catch ( error ) {
+			// Error closing lightbox
+		}
+	}
+
+	/**
+	 * Navigate lightbox images
+	 */
+	navigateLightbox( direction ) {
+		if (
+			! this.lightbox.isOpen ||
+			! this.lightbox.screenshots ||
+			this.lightbox.screenshots.length <= 1
+		) {
+			return;
+		}
+
+		this.lightbox.currentIndex += direction;
+
+		// Wrap around
+		if ( this.lightbox.currentIndex < 0 ) {
+			this.lightbox.currentIndex = this.lightbox.screenshots.length - 1;
+		} else if (
+			this.lightbox.currentIndex >= this.lightbox.screenshots.length
+		) {
+			this.lightbox.currentIndex = 0;
+		}
+
+		this.updateLightboxImage();
+	}
+
+	/**
+	 * Update lightbox image and counter
+	 */
+	updateLightboxImage() {
+		if (
+			! this.lightbox.screenshots ||
+			this.lightbox.screenshots.length === 0
+		) {
+			return;
+		}
+
+		try {
+			const screenshot =
+				this.lightbox.screenshots[ this.lightbox.currentIndex ];
+			const pluginName = this.sanitizeAndDecodeText(
+				this.lightbox.currentPlugin?.name || 'Plugin'
+			);
+
+			this.lightbox.image.src = screenshot.url;
+			this.lightbox.image.alt =
+				screenshot.caption ||
+				`${ pluginName } screenshot ${
+					this.lightbox.currentIndex + 1
+				}`;
+
+			// Caption - hidden when the readme doesn't provide one
+			this.lightbox.caption.textContent = screenshot.caption || '';
+			this.lightbox.caption.style.display = screenshot.caption
+				? 'block'
+				: 'none';
+
+			// Update counter
+			this.lightbox.footer.textContent = `${
+				this.lightbox.currentIndex + 1
+			} / ${ this.lightbox.screenshots.length }`;
+
+			// Show/hide navigation buttons
+			if ( this.lightbox.screenshots.length <= 1 ) {
+				this.lightbox.prevButton.style.display = 'none';
+				this.lightbox.nextButton.style.display = 'none';
+			} else {
+				this.lightbox.prevButton.style.display = 'flex';
+				this.lightbox.nextButton.style.display = 'flex';
+			}
+		} catch ( error ) {
+			console.error( 'Error updating lightbox image:', error );
+		}
+	}
+
+	/**
+	 * Create the plugin detail dialog
+	 *
+	 * Lives inside the block so the block styles apply; showModal() still
+	 * lifts it into the top layer above the page.
+	 */
+	createDetailsDialog() {
+		const titleId = this.getUrlParamName( 'details-title' );
+		const dialog = this.createElement( 'dialog', {
+			class: 'wps-plugin-details',
+			'aria-labelledby': titleId,
+		} );
+
+		const header = this.createElement( 'div', {
+			class: 'wps-plugin-details__header',
+		} );
+		const title = this.createElement( 'h2', {
+			class: 'wps-plugin-details__title',
+			id: titleId,
+		} );
+		const closeButton = this.createElement(
+			'button',
+			{
+				type: 'button',
+				class: 'wps-plugin-details__close',
+				'aria-label': 'Close plugin details',
+			},
+			'×'
+		);
+		header.appendChild( title );
+		header.appendChild( closeButton );
+
+		const body = this.createElement( 'div', {
+			class: 'wps-plugin-details__body',
+		} );
+
+		const footer = this.createElement( 'div', {
+			class: 'wps-plugin-details__footer',
+		} );
+		const wporgLink = this.createElement(
+			'a',
+			{
+				class: 'wps-plugin-details__wporg',
+				target: '_blank',
+				rel: 'noopener noreferrer',
+			},
+			'View on WordPress.org'
+		);
+		footer.appendChild( wporgLink );
+
+		dialog.appendChild( header );
+		dialog.appendChild( body );
+		dialog.appendChild( footer );
+		this.block.appendChild( dialog );
+
+		closeButton.addEventListener( 'click', () =>
+			this.closePluginDetails()
+		);
+
+		// Click on the backdrop closes the dialog
+		dialog.addEventListener( 'click', ( e ) => {
+			if ( e.target === dialog ) {
+				this.closePluginDetails();
+			}
+		} );
+
+		// Escape closes natively - keep our state and the URL in sync
+		dialog.addEventListener( 'close', () => {
+			this.closePluginDetails();
+		} );
+
+		this.details.element = dialog;
+		this.details.title = title;
+		this.details.body = body;
+		this.details.wporgLink = wporgLink;
+	}
+
+	/**
+	 * Open the detail dialog for a plugin slug found in the page URL
+	 */
+	openDeepLinkedPlugin() {
+		if ( ! this.urlState.enabled ) {
+			return;
+		}
+
+		const slug = new URLSearchParams( window.location.search ).get(
+			this.getUrlParamName( 'plugin' )
+		);
+
+		if ( slug && /^[a-z0-9-]+$/.test( slug ) ) {
+			this.openPluginDetails( slug );
+		}
+	}
+
+	/**
+	 * Open the detail dialog and load full plugin information
+	 *
+	 * @param {string} slug   - Plugin slug
+	 * @param {Object} plugin - Card data to show while details load
+	 */
+	async openPluginDetails( slug, plugin = null ) {
+		if ( ! this.details.element || ! slug ) {
+			return;
+		}
+
+		this.details.currentSlug = slug;
+		this.details.title.textContent = this.sanitizeAndDecodeText(
+			plugin?.name || slug
+		);
+		this.details.wporgLink.setAttribute(
+			'href',
+			`https://wordpress.org/plugins/${ encodeURIComponent( slug ) }/`
+		);
+		this.updateDetailsUrl( slug );
+
+		if ( ! this.details.element.open ) {
+			this.details.element.showModal();
+		}
+
+		if ( this.details.cache.has( slug ) ) {
+			this.renderPluginDetails( this.details.cache.get( slug ) );
+			return;
+		}
+
+		this.details.body.innerHTML = '';
+		const loading = this.createElement( 'div', { class: 'wps-loading' } );
+		loading.appendChild(
+			this.createElement( 'div', { class: 'wps-spinner' } )
+		);
+		loading.appendChild(
+			this.createElement( 'p', {}, 'Loading plugin details...' )
+		);
+		this.details.body.appendChild( loading );
+
+		if ( this.details.request ) {
+			this.details.request.abort();
+		}
+		const request = new AbortController();
+		this.details.request = request;
+
+		try {
+			const response = await fetch(
+				`/wp-json/wordpress-plugin-search/v1/plugin/${ encodeURIComponent(
+					slug
+				) }`,
+				{
+					headers: {
+						'Content-Type': 'application/json',
+						...( this.restNonce && {
+							'X-WP-Nonce': this.restNonce,
+						} ),
+					},
+					signal: request.signal,
+					credentials: 'same-origin',
+				}
+			);
+
+			if ( ! response.ok ) {
+				throw new Error( `HTTP ${ response.status }` );
+			}
+
+			const details = await response.json();
+			if ( ! details || typeof details !== 'object' ) {
+				throw new Error( 'Invalid response format from server' );
+			}
+
+			this.details.cache.set( slug, details );
+
+			// The visitor may have moved on to another plugin meanwhile
+			if ( this.details.currentSlug === slug ) {
+				this.renderPluginDetails( details );
+			}
+		} catch ( error ) {
+			if ( error.name === 'AbortError' ) {
+				return;
+			}
+
+			const message = error.message.includes( 'HTTP 404' )
+				? 'This plugin could not be found in the WordPress.org directory.'
+				: 'Unable to load plugin details. Please try again later.';
+
+			this.details.body.innerHTML = '';
+			this.details.body.appendChild(
+				this.createElement( 'p', { class: 'wps-error' }, message )
+			);
+		} finally {
+			if ( this.details.request === request ) {
+				this.details.request = null;
+			}
+		}
+	}
+
+	/**
+	 * Close the detail dialog
+	 */
+	closePluginDetails() {
+		if ( ! this.details.element || ! this.details.currentSlug ) {
+			return;
+		}
+
+		this.details.currentSlug = null;
+
+		if ( this.details.request ) {
+			this.details.request.abort();
+		}
+
+		if ( this.details.element.open ) {
+			this.details.element.close();
+		}
+
+		this.updateDetailsUrl( null );
+	}
+
+	/**
+	 * Reflect the open plugin in the page URL so the view can be shared
+	 *
+	 * @param {string|null} slug - Plugin slug, or null to remove it
+	 */
+	updateDetailsUrl( slug ) {
+		if ( ! this.urlState.enabled ) {
+			return;
+		}
+
+		const url = new URL( window.location.href );
+
+		const param = this.getUrlParamName( 'plugin' );
+
+		if ( slug ) {
+			url.searchParams.set( param, slug );
+		} else {
+			url.searchParams.delete( param );
+		}
+
+		if ( url.href !== window.location.href ) {
+			window.history.replaceState( window.history.state, '', url );
+		}
+	}
+
+	/**
+	 * Render full plugin information into the detail dialog
+	 *
+	 * @param {Object} details - Sanitized plugin_information data
+	 */
+	renderPluginDetails( details ) {
+		const body = this.details.body;
+		body.innerHTML = '';
+
+		this.details.title.textContent = this.sanitizeAndDecodeText(
+			details.name || details.slug
+		);
+
+		if ( details.author ) {
+			body.appendChild(
+				this.createElement(
+					'p',
+					{ class: 'wps-plugin-details__author' },
+					`By ${ this.sanitizeAndDecodeText( details.author ) }`
+				)
+			);
+		}
+
+		// Key facts
+		const facts = this.createElement( 'dl', {
+			class: 'wps-plugin-details__facts',
+		} );
+		[
+			[ 'Version', details.version ],
+			[ 'Last updated', details.last_updated ],
+			[
+				'Active installs',
+				details.active_installs
+					? `${ details.active_installs.toLocaleString() }+`
+					: '',
+			],
+			[ 'Requires WordPress', details.requires ],
+			[ 'Tested up to', details.tested ],
+			[ 'Requires PHP', details.requires_php ],
+		].forEach( ( [ label, value ] ) => {
+			if ( ! value ) {
+				return;
+			}
+			facts.appendChild( this.createElement( 'dt', {}, label ) );
+			facts.appendChild(
+				this.createElement(
+					'dd',
+					{},
+					this.sanitizeAndDecodeText( value )
+				)
+			);
+		} );
+		body.appendChild( facts );
+
+		// Rating breakdown
+		if ( details.num_ratings > 0 && details.ratings ) {
+			body.appendChild( this.renderRatingBreakdown( details ) );
+		}
+
+		// Readme sections as tabs
+		const sectionLabels = {
+			description: 'Description',
+			installation: 'Installation',
+			faq: 'FAQ',
+			changelog: 'Changelog',
+		};
+		const sections = Object.keys( sectionLabels ).filter(
+			( key ) => details.sections?.[ key ]
+		);
+
+		if ( sections.length > 0 ) {
+			const tabList = this.createElement( 'div', {
+				class: 'wps-plugin-details__tabs',
+				role: 'tablist',
+			} );
+			const panel = this.createElement( 'div', {
+				class: 'wps-plugin-details__section',
+				role: 'tabpanel',
+			} );
+
+			const showSection = ( key ) => {
+				tabList.querySelectorAll( 'button' ).forEach( ( tab ) => {
+					const isActive = tab.dataset.section === key;
+					tab.classList.toggle( 'active', isActive );
+					tab.setAttribute(
+						'aria-selected',
+						isActive ? 'true' : 'false'
+					);
+				} );
+				// Section HTML is passed through wp_kses_post() by the proxy
+				panel.innerHTML = details.sections[ key ];
+			};
+
+			sections.forEach( ( key ) => {
+				const tab = this.createElement(
+					'button',
+					{
+						type: 'button',
+						role: 'tab',
+						'data-section': key,
+					},
+					sectionLabels[ key ]
+				);
+				tab.addEventListener( 'click', () => showSection( key ) );
+				tabList.appendChild( tab );
+			} );
+
+			body.appendChild( tabList );
+			body.appendChild( panel );
+			showSection( sections[ 0 ] );
+		}
+
+		// Contributors
+		if ( details.contributors?.length > 0 ) {
+			const contributors = this.createElement( 'div', {
+				class: 'wps-plugin-details__contributors',
+			} );
+			contributors.appendChild(
+				this.createElement( 'h3', {}, 'Contributors' )
+			);
+			const list = this.createElement( 'ul' );
+			details.contributors.forEach( ( contributor ) => {
+				const item = this.createElement( 'li' );
+				const name = this.sanitizeAndDecodeText(
+					contributor.display_name || contributor.username
+				);
+				if ( contributor.profile ) {
+					item.appendChild(
+						this.createElement(
+							'a',
+							{
+								href: contributor.profile,
+								target: '_blank',
+								rel: 'noopener noreferrer',
+							},
+							name
+						)
+					);
+				} else {
+					item.textContent = name;
+				}
+				list.appendChild( item );
+			} );
+			contributors.appendChild( list );
+			body.appendChild( contributors );
+		}
+
+		// Previous versions
+		if ( details.versions?.length > 0 ) {
+			const versions = this.createElement( 'div', {
+				class: 'wps-plugin-details__versions',
+			} );
+			versions.appendChild( this.createElement( 'h3', {}, 'Versions' ) );
+			versions.appendChild(
+				this.createElement(
+					'p',
+					{},
+					details.versions
+						.slice( 0, 10 )
+						.map( ( version ) => version.version )
+						.join( ', ' )
+				)
+			);
+			body.appendChild( versions );
+		}
+	}
+
+	/**
+	 * Render the per-star rating breakdown
+	 *
+	 * @param {Object} details - Plugin details with ratings and num_ratings
+	 * @return {HTMLElement} Breakdown element
+	 */
+	renderRatingBreakdown( details ) {
+		const breakdown = this.createElement( 'div', {
+			class: 'wps-plugin-details__ratings',
+		} );
+		breakdown.appendChild(
+			this.createElement(
+				'h3',
+				{},
+				`Rating: ${ ( details.rating / 20 ).toFixed( 1 ) } out of 5 (${
+					details.num_ratings
+				} reviews)`
+			)
+		);
+		this.appendRatingRows( breakdown, details );
+
+		return breakdown;
+	}
+
+	/**
+	 * Append one bar per star rating to a container
+	 *
+	 * @param {HTMLElement} container - Element to add the rows to
+	 * @param {Object}      plugin    - Plugin with ratings and num_ratings
+	 */
+	appendRatingRows( container, plugin ) {
+		[ 5, 4, 3, 2, 1 ].forEach( ( stars ) => {
+			const count = parseInt( plugin.ratings[ stars ] ) || 0;
+			const percent = Math.round( ( count / plugin.num_ratings ) * 100 );
+
+			const row = this.createElement( 'div', {
+				class: 'wps-rating-row',
+			} );
+			row.appendChild(
+				this.createElement(
+					'span',
+					{ class: 'wps-rating-row__label' },
+					`${ stars } star${ stars !== 1 ? 's' : '' }`
+				)
+			);
+			const bar = this.createElement( 'span', {
+				class: 'wps-rating-row__bar',
+				role: 'img',
+				'aria-label': `${ percent }% of reviews`,
+			} );
+			bar.appendChild(
+				this.createElement( 'span', {
+					class: 'wps-rating-row__fill',
+					style: `width: ${ percent }%;`,
+				} )
+			);
+			row.appendChild( bar );
+			row.appendChild(
+				this.createElement(
+					'span',
+					{ class: 'wps-rating-row__count' },
+					count.toLocaleString()
+				)
+			);
+			container.appendChild( row );
+		} );
+	}
+
+	/**
+	 * Create the sticky tray listing the plugins picked for comparison
+	 */
+	createCompareTray() {
+		const tray = this.createElement( 'div', {
+			class: 'wps-compare-tray',
+			role: 'region',
+			'aria-label': 'Plugin comparison',
+			style: 'display: none;',
+		} );
+		const list = this.createElement( 'ul', {
+			class: 'wps-compare-tray__list',
+		} );
+		const actions = this.createElement( 'div', {
+			class: 'wps-compare-tray__actions',
+		} );
+		const count = this.createElement( 'span', {
+			class: 'wps-compare-tray__count',
+			role: 'status',
+		} );
+		const compareButton = this.createButton( 'Compare', () =>
+			this.openComparison()
+		);
+		const clearButton = this.createButton(
+			'Clear',
+			() => this.clearCompare(),
+			'is-secondary'
+		);
+
+		actions.appendChild( count );
+		actions.appendChild( compareButton.container );
+		actions.appendChild( clearButton.container );
+		tray.appendChild( list );
+		tray.appendChild( actions );
+		this.block.appendChild( tray );
+
+		this.compare.tray = tray;
+		this.compare.list = list;
+		this.compare.count = count;
+		this.compare.compareButton = compareButton.link;
+	}
+
+	/**
+	 * Create the dialog showing compared plugins side by side
+	 *
+	 * Shares the detail dialog's chrome and styles.
+	 */
+	createCompareDialog() {
+		const titleId = this.getUrlParamName( 'compare-title' );
+		const dialog = this.createElement( 'dialog', {
+			class: 'wps-plugin-details wps-compare-dialog',
+			'aria-labelledby': titleId,
+		} );
+
+		const header = this.createElement( 'div', {
+			class: 'wps-plugin-details__header',
+		} );
+		header.appendChild(
+			this.createElement(
+				'h2',
+				{ class: 'wps-plugin-details__title', id: titleId },
+				'Compare plugins'
+			)
+		);
+		const closeButton = this.createElement(
+			'button',
+			{
+				type: 'button',
+				class: 'wps-plugin-details__close',
+				'aria-label': 'Close comparison',
+			},
+			'×'
+		);
+		header.appendChild( closeButton );
+
+		const body = this.createElement( 'div', {
+			class: 'wps-plugin-details__body',
+		} );
+
+		dialog.appendChild( header );
+		dialog.appendChild( body );
+		this.block.appendChild( dialog );
+
+		closeButton.addEventListener( 'click', () => dialog.close() );
+
+		// Click on the backdrop closes the dialog
+		dialog.addEventListener( 'click', ( e ) => {
+			if ( e.target === dialog ) {
+				dialog.close();
+			}
+		} );
+
+		this.compare.dialog = dialog;
+		this.compare.body = body;
+	}
+
+	/**
+	 * Read the comparison selection from the page URL
+	 */
+	applyCompareUrl() {
+		if ( ! this.urlState.enabled ) {
+			return;
+		}
+
+		const value =
+			new URLSearchParams( window.location.search ).get(
+				this.getUrlParamName( 'compare' )
+			) || '';
+
+		this.compare.slugs = [
+			...new Set(
+				value
+					.split( ',' )
+					.map( ( slug ) => slug.trim() )
+					.filter( ( slug ) => /^[a-z0-9-]+$/.test( slug ) )
+			),
+		].slice( 0, MAX_COMPARE_PLUGINS );
+	}
+
+	/**
+	 * Reflect the comparison selection in the page URL so it can be shared
+	 */
+	updateCompareUrl() {
+		if ( ! this.urlState.enabled ) {
+			return;
+		}
+
+		const url = new URL( window.location.href );
+		const param = this.getUrlParamName( 'compare' );
+
+		if ( this.compare.slugs.length > 0 ) {
+			url.searchParams.set( param, this.compare.slugs.join( ',' ) );
+		} else {
+			url.searchParams.delete( param );
+		}
+
+		if ( url.href !== window.location.href ) {
+			window.history.replaceState( window.history.state, '', url );
+		}
+	}
+
+	/**
+	 * Restore a comparison shared through the page URL
+	 *
+	 * A link with two or more plugins opens straight into the comparison.
+	 */
+	openSharedComparison() {
+		this.applyCompareUrl();
+		this.renderCompareTray();
+
+		if ( this.compare.slugs.length >= 2 ) {
+			this.openComparison();
+		} else {
+			this.loadComparePlugins();
+		}
+	}
+
+	/**
+	 * Add a plugin to the comparison or remove it
+	 *
+	 * @param {Object}  plugin   - Plugin object
+	 * @param {boolean} selected - Whether the plugin should be compared
+	 */
+	toggleCompare( plugin, selected ) {
+		const slugs = this.compare.slugs.filter(
+			( slug ) => slug !== plugin.slug
+		);
+
+		if ( selected && slugs.length < MAX_COMPARE_PLUGINS ) {
+			slugs.push( plugin.slug );
+			this.compare.plugins.set( plugin.slug, plugin );
+		}
+
+		this.compare.slugs = slugs;
+		this.updateCompareUrl();
+		this.renderCompareTray();
+		this.syncCompareCheckboxes();
+	}
+
+	/**
+	 * Empty the comparison tray
+	 */
+	clearCompare() {
+		this.compare.slugs = [];
+		this.updateCompareUrl();
+		this.renderCompareTray();
+		this.syncCompareCheckboxes();
+	}
+
+	/**
+	 * Create the Compare checkbox for a card
+	 *
+	 * @param {Object} plugin - Plugin object
+	 * @return {HTMLElement} Label wrapping the checkbox
+	 */
+	createCompareToggle( plugin ) {
+		const label = this.createElement( 'label', {
+			class: 'wps-compare-toggle',
+		} );
+		const checkbox = this.createElement( 'input', {
+			type: 'checkbox',
+			class: 'wps-compare-checkbox',
+		} );
+		checkbox.addEventListener( 'change', () =>
+			this.toggleCompare( plugin, checkbox.checked )
+		);
+
+		label.appendChild( checkbox );
+		label.appendChild( document.createTextNode( 'Compare' ) );
+		this.syncCompareCheckbox( checkbox, plugin.slug );
+
+		return label;
+	}
+
+	/**
+	 * Match a Compare checkbox to the selection
+	 *
+	 * @param {HTMLInputElement} checkbox - Checkbox on a card
+	 * @param {string}           slug     - Plugin slug
+	 */
+	syncCompareCheckbox( checkbox, slug ) {
+		const selected = this.compare.slugs.includes( slug );
+		const full = this.compare.slugs.length >= MAX_COMPARE_PLUGINS;
+
+		checkbox.checked = selected;
+		checkbox.disabled = ! selected && full;
+		checkbox.parentNode?.setAttribute(
+			'title',
+			checkbox.disabled
+				? `You can compare up to ${ MAX_COMPARE_PLUGINS } plugins`
+				: ''
+		);
+	}
+
+	/**
+	 * Update every card's Compare checkbox after the selection changes
+	 */
+	syncCompareCheckboxes() {
+		this.elements.grid
+			.querySelectorAll( '.wps-plugin-item[data-slug]' )
+			.forEach( ( item ) => {
+				const checkbox = item.querySelector( '.wps-compare-checkbox' );
+				if ( checkbox ) {
+					this.syncCompareCheckbox( checkbox, item.dataset.slug );
+				}
+			} );
+	}
+
+	/**
+	 * Show the current selection in the tray
+	 */
+	renderCompareTray() {
+		const { slugs, tray, list, count, compareButton } = this.compare;
+
+		tray.style.display = slugs.length > 0 ? '' : 'none';
+		list.innerHTML = '';
+
+		slugs.forEach( ( slug ) => {
+			const name = this.sanitizeAndDecodeText(
+				this.compare.plugins.get( slug )?.name || slug
+			);
+			const item = this.createElement( 'li', {
+				class: 'wps-compare-tray__item',
+			} );
+			item.appendChild( this.createElement( 'span', {}, name ) );
+
+			const remove = this.createElement(
+				'button',
+				{
+					type: 'button',
+					class: 'wps-compare-tray__remove',
+					'aria-label': `Remove ${ name } from comparison`,
+				},
+				'×'
+			);
+			remove.addEventListener( 'click', () =>
+				this.toggleCompare( { slug }, false )
+			);
+			item.appendChild( remove );
+			list.appendChild( item );
+		} );
+
+		count.textContent =
+			slugs.length < 2
+				? 'Pick at least two plugins to compare'
+				: `${ slugs.length } of ${ MAX_COMPARE_PLUGINS } plugins selected`;
+		compareButton.setAttribute(
+			'aria-disabled',
+			slugs.length < 2 ? 'true' : 'false'
+		);
+	}
+
+	/**
+	 * Fetch card data for compared plugins that aren't in the results
+	 */
+	async loadComparePlugins() {
+		const missing = this.compare.slugs.filter(
+			( slug ) => ! this.compare.plugins.has( slug )
+		);
+		if ( missing.length === 0 ) {
+			return;
+		}
+
+		if ( this.compare.request ) {
+			this.compare.request.abort();
+		}
+		const request = new AbortController();
+		this.compare.request = request;
+
+		try {
+			const url = new URL(
+				'/wp-json/wordpress-plugin-search/v1/plugins',
+				window.location.origin
+			);
+			url.searchParams.set( 'slugs', missing.join( ',' ) );
+
+			const response = await fetch( url.toString(), {
+				headers: {
+					'Content-Type': 'application/json',
+					...( this.restNonce && { 'X-WP-Nonce': this.restNonce } ),
+				},
+				signal: request.signal,
+				credentials: 'same-origin',
+			} );
+
+			if ( ! response.ok ) {
+				throw new Error( `HTTP ${ response.status }` );
+			}
+
+			const data = await response.json();
+			( Array.isArray( data?.plugins ) ? data.plugins : [] ).forEach(
+				( plugin ) => {
+					if ( plugin?.slug ) {
+						this.compare.plugins.set( plugin.slug, plugin );
+					}
+				}
+			);
+
+			this.compare.failed = false;
+			this.renderCompareTray();
+		} catch ( error ) {
+			if ( error.name !== 'AbortError' ) {
+				this.compare.failed = true;
+			}
+		} finally {
+			if ( this.compare.request === request ) {
+				this.compare.request = null;
+			}
+		}
+	}
+
+	/**
+	 * Open the side-by-side comparison
+	 */
+	async openComparison() {
+		if ( this.compare.slugs.length < 2 ) {
+			return;
+		}
+
+		const { dialog, body } = this.compare;
+		if ( ! dialog.open ) {
+			dialog.showModal();
+		}
+
+		if (
+			this.compare.slugs.some(
+				( slug ) => ! this.compare.plugins.has( slug )
+			)
+		) {
+			body.innerHTML = '';
+			const loading = this.createElement( 'div', {
+				class: 'wps-loading',
+			} );
+			loading.appendChild(
+				this.createElement( 'div', { class: 'wps-spinner' } )
+			);
+			loading.appendChild(
+				this.createElement( 'p', {}, 'Loading plugins...' )
+			);
+			body.appendChild( loading );
+
+			await this.loadComparePlugins();
+		}
+
+		this.renderComparison();
+	}
+
+	/**
+	 * Render the compared plugins as a table, one column per plugin
+	 */
+	renderComparison() {
+		const body = this.compare.body;
+		body.innerHTML = '';
+
+		// Plugins WordPress.org couldn't return are left out rather than shown empty
+		const plugins = this.compare.slugs
+			.map( ( slug ) => this.compare.plugins.get( slug ) )
+			.filter( Boolean );
+
+		if ( plugins.length === 0 ) {
+			body.appendChild(
+				this.createElement(
+					'p',
+					{ class: 'wps-error' },
+					'Unable to load these plugins. Please try again later.'
+				)
+			);
+			return;
+		}
+
+		// Say why columns are missing when the request for them failed
+		if (
+			this.compare.failed &&
+			plugins.length < this.compare.slugs.length
+		) {
+			body.appendChild(
+				this.createElement(
+					'p',
+					{ class: 'wps-error' },
+					'Some plugins could not be loaded. Please try again later.'
+				)
+			);
+		}
+
+		const wrapper = this.createElement( 'div', {
+			class: 'wps-compare-table-wrapper',
+		} );
+		const table = this.createElement( 'table', {
+			class: 'wps-compare-table',
+		} );
+
+		const headRow = this.createElement( 'tr' );
+		headRow.appendChild( this.createElement( 'td' ) );
+		plugins.forEach( ( plugin ) => {
+			const heading = this.createElement( 'th', { scope: 'col' } );
+			heading.appendChild(
+				this.createElement(
+					'a',
+					{
+						href: `https://wordpress.org/plugins/${ encodeURIComponent(
+							plugin.slug
+						) }/`,
+						target: '_blank',
+						rel: 'noopener noreferrer',
+					},
+					this.sanitizeAndDecodeText( plugin.name || plugin.slug )
+				)
+			);
+			headRow.appendChild( heading );
+		} );
+		const thead = this.createElement( 'thead' );
+		thead.appendChild( headRow );
+		table.appendChild( thead );
+
+		const tbody = this.createElement( 'tbody' );
+		this.getComparisonRows().forEach( ( [ label, getValue ] ) => {
+			const row = this.createElement( 'tr' );
+			row.appendChild(
+				this.createElement( 'th', { scope: 'row' }, label )
+			);
+
+			plugins.forEach( ( plugin ) => {
+				const cell = this.createElement( 'td' );
+				const value = getValue( plugin );
+				if ( value instanceof window.HTMLElement ) {
+					cell.appendChild( value );
+				} else {
+					cell.textContent = value || '—';
+				}
+				row.appendChild( cell );
+			} );
+
+			tbody.appendChild( row );
+		} );
+		table.appendChild( tbody );
+
+		wrapper.appendChild( table );
+		body.appendChild( wrapper );
+	}
+
+	/**
+	 * Rows of the comparison table
+	 *
+	 * @return {Array} Array of [ label, function returning a string or element ]
+	 */
+	getComparisonRows() {
+		return [
+			[
+				'Rating',
+				( plugin ) =>
+					plugin.num_ratings > 0
+						? `${ ( plugin.rating / 20 ).toFixed(
+								1
+						  ) } out of 5 (${ plugin.num_ratings.toLocaleString() } ratings)`
+						: 'No ratings yet',
+			],
+			[
+				'Star breakdown',
+				( plugin ) => {
+					if ( ! ( plugin.num_ratings > 0 ) || ! plugin.ratings ) {
+						return '';
+					}
+					const breakdown = this.createElement( 'div', {
+						class: 'wps-compare-ratings',
+					} );
+					this.appendRatingRows( breakdown, plugin );
+					return breakdown;
+				},
+			],
+			[
+				'Active installs',
+				( plugin ) =>
+					plugin.active_installs
+						? `${ plugin.active_installs.toLocaleString() }+`
+						: '',
+			],
+			[
+				'Last updated',
+				( plugin ) => this.sanitizeAndDecodeText( plugin.last_updated ),
+			],
+			[ 'Tested up to', ( plugin ) => plugin.tested ],
+			[ 'Requires PHP', ( plugin ) => plugin.requires_php ],
+			[
+				'Support threads resolved',
+				( plugin ) => {
+					if ( ! ( plugin.support_threads > 0 ) ) {
+						return 'No recent threads';
+					}
+					const resolved = plugin.support_threads_resolved || 0;
+					return `${ Math.round(
+						( resolved / plugin.support_threads ) * 100
+					) }% (${ resolved.toLocaleString() } of ${ plugin.support_threads.toLocaleString() })`;
+				},
+			],
+		];
+	}
+
+	/**
+	 * Read the shortlist an anonymous visitor saved in this browser
+	 *
+	 * @return {Array} Plugin slugs
+	 */
+	readLocalShortlist() {
+		try {
+			const saved = JSON.parse(
+				window.localStorage.getItem( SHORTLIST_KEY )
+			);
+			return this.normalizeShortlist( saved );
+		} catch ( error ) {
+			// Storage blocked or unreadable - start empty
+			return [];
+		}
+	}
+
+	/**
+	 * Save the shortlist in this browser
+	 *
+	 * Logged-in visitors keep this copy until their account has the same list.
+	 */
+	writeLocalShortlist() {
+		try {
+			window.localStorage.setItem(
+				SHORTLIST_KEY,
+				JSON.stringify( this.shortlist.slugs )
+			);
+		} catch ( error ) {
+			// Storage blocked - the shortlist still lasts for this page view
+		}
+	}
+
+	/**
+	 * Drop the browser copy once the visitor's account has the shortlist
+	 */
+	clearLocalShortlist() {
+		try {
+			window.localStorage.removeItem( SHORTLIST_KEY );
+		} catch ( error ) {
+			// Storage blocked - nothing was saved there
+		}
+	}
+
+	/**
+	 * Keep only valid, unique slugs, up to the shortlist limit
+	 *
+	 * @param {Array} slugs - Raw slugs
+	 * @return {Array} Plugin slugs
+	 */
+	normalizeShortlist( slugs ) {
+		if ( ! Array.isArray( slugs ) ) {
+			return [];
+		}
+
+		return [
+			...new Set(
+				slugs.filter(
+					( slug ) =>
+						typeof slug === 'string' && /^[a-z0-9-]+$/.test( slug )
+				)
+			),
+		].slice( 0, MAX_SHORTLIST_PLUGINS );
+	}
+
+	/**
+	 * Fetch a logged-in visitor's shortlist from their user meta
+	 *
+	 * Plugins starred before logging in, or while the account couldn't be
+	 * reached, are merged in and moved to the account, so nothing is lost on
+	 * the way.
+	 */
+	async loadShortlist() {
+		this.renderShortlistBar();
+
+		if (
+			this.attributes.shortlistStorage !== 'user' ||
+			this.shortlist.loading
+		) {
+			return;
+		}
+
+		this.shortlist.loading = true;
+
+		let saved;
+		try {
+			const data = await this.requestShortlist( 'GET' );
+			saved = this.normalizeShortlist( data?.slugs );
+		} catch ( error ) {
+			this.elements.shortlistStatus.textContent =
+				'Your saved shortlist could not be loaded. Changes are kept in this browser for now.';
+			return;
+		} finally {
+			this.shortlist.loading = false;
+		}
+
+		// Local slugs include anything starred while this was loading
+		this.shortlist.slugs = this.normalizeShortlist( [
+			...saved.filter( ( slug ) => ! this.shortlist.removed.has( slug ) ),
+			...this.shortlist.slugs,
+		] );
+		this.shortlist.loaded = true;
+		this.shortlist.removed.clear();
+
+		this.renderShortlistBar();
+		this.syncShortlistToggles();
+
+		if ( this.shortlist.slugs.join( ',' ) !== saved.join( ',' ) ) {
+			await this.saveShortlist();
+		} else {
+			this.clearLocalShortlist();
+		}
+	}
+
+	/**
+	 * Call the shortlist REST route
+	 *
+	 * @param {string} method - 'GET' to read, 'POST' to replace
+	 * @param {Array}  slugs  - Slugs to save when replacing
+	 * @return {Promise<Object>} Response with the saved slugs
+	 */
+	async requestShortlist( method, slugs = null ) {
+		// Only the latest save matters
+		const request = new AbortController();
+		if ( method !== 'GET' ) {
+			this.shortlist.request?.abort();
+			this.shortlist.request = request;
+		}
+
+		try {
+			const response = await fetch(
+				new URL(
+					'/wp-json/wordpress-plugin-search/v1/shortlist',
+					window.location.origin
+				).toString(),
+				{
+					method,
+					headers: {
+						'Content-Type': 'application/json',
+						...( this.restNonce && {
+							'X-WP-Nonce': this.restNonce,
+						} ),
+					},
+					...( slugs && { body: JSON.stringify( { slugs } ) } ),
+					signal: request.signal,
+					credentials: 'same-origin',
+				}
+			);
+
+			if ( ! response.ok ) {
+				throw new Error( `HTTP ${ response.status }` );
+			}
+
+			return await response.json();
+		} finally {
+			if ( this.shortlist.request === request ) {
+				this.shortlist.request = null;
+			}
+		}
+	}
+
+	/**
+	 * Persist the shortlist where it belongs for this visitor
+	 */
+	async saveShortlist() {
+		this.writeLocalShortlist();
+
+		if ( this.attributes.shortlistStorage !== 'user' ) {
+			return;
+		}
+
+		// Loading again merges the browser copy in and saves it
+		if ( ! this.shortlist.loaded ) {
+			await this.loadShortlist();
+			return;
+		}
+
+		try {
+			await this.requestShortlist( 'POST', this.shortlist.slugs );
+			this.clearLocalShortlist();
+		} catch ( error ) {
+			if ( error.name !== 'AbortError' ) {
+				this.elements.shortlistStatus.textContent =
+					'Your shortlist could not be saved. It is kept in this browser and saved with your next change.';
+			}
+		}
+	}
+
+	/**
+	 * Star or unstar a plugin
+	 *
+	 * @param {Object} plugin - Plugin object
+	 */
+	toggleShortlist( plugin ) {
+		const slugs = this.shortlist.slugs.filter(
+			( slug ) => slug !== plugin.slug
+		);
+		const adding = slugs.length === this.shortlist.slugs.length;
+
+		if ( adding ) {
+			if ( slugs.length >= MAX_SHORTLIST_PLUGINS ) {
+				this.elements.shortlistStatus.textContent = `Your shortlist is full - it holds up to ${ MAX_SHORTLIST_PLUGINS } plugins.`;
+				return;
+			}
+			slugs.push( plugin.slug );
+		}
+
+		if (
+			this.attributes.shortlistStorage === 'user' &&
+			! this.shortlist.loaded
+		) {
+			if ( adding ) {
+				this.shortlist.removed.delete( plugin.slug );
+			} else {
+				this.shortlist.removed.add( plugin.slug );
+			}
+		}
+
+		this.shortlist.slugs = slugs;
+		this.saveShortlist();
+		this.renderShortlistBar();
+		this.syncShortlistToggles();
+
+		// Unstarred plugins leave the shortlist view straight away
+		if ( this.shortlist.active && ! adding ) {
+			this.state.plugins = this.state.plugins.filter(
+				( item ) => item.slug !== plugin.slug
+			);
+			this.state.totalResults = this.state.plugins.length;
+			this.renderResults();
+			this.updateResultsInfo();
+		}
+	}
+
+	/**
+	 * Create the star button that shortlists a card's plugin
+	 *
+	 * @param {Object} plugin - Plugin object
+	 * @return {HTMLElement} Toggle button
+	 */
+	createShortlistToggle( plugin ) {
+		const button = this.createElement( 'button', {
+			type: 'button',
+			class: 'wps-shortlist-toggle',
+		} );
+		button.addEventListener( 'click', () =>
+			this.toggleShortlist( plugin )
+		);
+		this.syncShortlistToggle(
+			button,
+			plugin.slug,
+			this.sanitizeAndDecodeText( plugin.name || plugin.slug )
+		);
+
+		return button;
+	}
+
+	/**
+	 * Match a star button to the shortlist
+	 *
+	 * @param {HTMLElement} button - Star button on a card
+	 * @param {string}      slug   - Plugin slug
+	 * @param {string}      name   - Plugin name for the accessible label
+	 */
+	syncShortlistToggle( button, slug, name ) {
+		const saved = this.shortlist.slugs.includes( slug );
+
+		button.textContent = saved ? '★' : '☆';
+		button.setAttribute( 'aria-pressed', saved ? 'true' : 'false' );
+		button.setAttribute(
+			'aria-label',
+			saved
+				? `Remove ${ name } from shortlist`
+				: `Add ${ name } to shortlist`
+		);
+		button.dataset.name = name;
+	}
+
+	/**
+	 * Update every card's star after the shortlist changes
+	 */
+	syncShortlistToggles() {
+		this.elements.grid
+			.querySelectorAll( '.wps-plugin-item[data-slug]' )
+			.forEach( ( item ) => {
+				const button = item.querySelector( '.wps-shortlist-toggle' );
+				if ( button ) {
+					this.syncShortlistToggle(
+						button,
+						item.dataset.slug,
+						button.dataset.name
+					);
+				}
+			} );
+	}
+
+	/**
+	 * Show the shortlist size, and the export link while viewing it
+	 */
+	renderShortlistBar() {
+		const { slugs, active } = this.shortlist;
+		const { shortlistButton, shortlistExport, shortlistStatus } =
+			this.elements;
+
+		shortlistStatus.textContent = '';
+		shortlistButton.textContent = active
+			? 'Back to all plugins'
+			: `My shortlist (${ slugs.length })`;
+		shortlistButton.setAttribute(
+			'aria-pressed',
+			active ? 'true' : 'false'
+		);
+
+		// One slug per line, ready for WP-CLI or a curated block
+		shortlistExport.style.display =
+			active && slugs.length > 0 ? '' : 'none';
+		shortlistExport.setAttribute(
+			'href',
+			`data:text/plain;charset=utf-8,${ encodeURIComponent(
+				slugs.join( '\n' )
+			) }`
+		);
+	}
+
+	/**
+	 * Switch between the shortlist and the regular results
+	 *
+	 * @param {boolean} active - Whether to show the shortlist
+	 */
+	setShortlistView( active ) {
+		this.shortlist.active = active;
+
+		// Search and filters only apply to the regular results
+		this.elements.controls.hidden = active;
+		this.renderShortlistBar();
+
+		this.state.currentPage = 1;
+		this.state.plugins = [];
+		this.performSearch();
+	}
+
+	/**
+	 * Render the complete interface - browse only
+	 */
+	renderInterface() {
+		// Keep server-rendered cards so hydration doesn't repaint them
+		const serverGrid = this.block.querySelector( '.wps-plugin-grid' );
+		if ( serverGrid ) {
+			serverGrid.remove();
+		}
+
+		this.block.innerHTML = '';
+
+		const container = this.createElement( 'div', {
+			class: 'wps-browse-interface',
+		} );
+
+		// Header
+		const header = this.createElement( 'div', {
+			class: 'wps-search-block__header',
+		} );
+		header.appendChild(
+			this.createElement(
+				'h2',
+				{ class: 'wps-search-block__title' },
+				'WordPress Plugin Directory'
+			)
+		);
+		header.appendChild(
+			this.createElement(
+				'p',
+				{ class: 'wps-search-block__description' },
+				this.isCuratedMode()
+					? 'A hand-picked selection of WordPress plugins.'
+					: 'Browse popular WordPress plugins from the official directory.'
+			)
+		);
+
+		// Controls
+		const controls = this.createElement( 'div', {
+			class: 'wps-search-block__controls',
+		} );
+
+		// Keyword search - available whenever the directory is browsable
+		let searchInput = null;
+		if ( ! this.isCuratedMode() ) {
+			const searchWrapper = this.createElement( 'div', {
+				class: 'wps-search-input',
+				role: 'search',
+			} );
+			searchInput = this.createElement( 'input', {
+				type: 'search',
+				class: 'wps-search-field',
+				placeholder: 'Search plugins...',
+				'aria-label': 'Search plugins',
+				autocomplete: 'off',
+				maxlength: 200,
+			} );
+			searchInput.value = this.state.searchTerm;
+			searchWrapper.appendChild( searchInput );
+			controls.appendChild( searchWrapper );
+		}
+
+		// Simple filters
+		if ( this.state.showFilters ) {
+			const filterControls = this.createElement( 'div', {
+				class: 'wps-filter-controls',
+			} );
+			const filterRow = this.createElement( 'div', {
+				class: 'wps-filter-row',
+			} );
+
+			// Sort by - using WordPress core classes
+			const sortItem = this.createElement( 'div', {
+				class: 'wps-filter-item',
+			} );
+			sortItem.appendChild(
+				this.createElement( 'label', {}, 'Sort by' )
+			);
+			const sortSelect = this.createElement( 'select', {
+				class: 'components-select-control__input',
+			} );
+
+			this.getSortOptions().forEach( ( option ) => {
+				const optionElement = this.createElement(
+					'option',
+					{ value: option.value },
+					option.label
+				);
+				if ( option.value === this.state.sortBy ) {
+					optionElement.selected = true;
+				}
+				sortSelect.appendChild( optionElement );
+			} );
+
+			sortItem.appendChild( sortSelect );
+
+			// Nothing to choose when the site allows a single sort order
+			if ( sortSelect.options.length > 1 ) {
+				filterRow.appendChild( sortItem );
+			}
+
+			// Secondary sort within the chosen feed
+			const orderItem = this.createElement( 'div', {
+				class: 'wps-filter-item',
+			} );
+			const orderId = this.getUrlParamName( 'order' );
+			orderItem.appendChild(
+				this.createElement( 'label', { for: orderId }, 'Then order by' )
+			);
+			const orderSelect = this.createElement( 'select', {
+				id: orderId,
+				class: 'components-select-control__input',
+			} );
+			this.getOrderOptions().forEach( ( option ) => {
+				orderSelect.appendChild(
+					this.createElement(
+						'option',
+						{ value: option.value },
+						option.label
+					)
+				);
+			} );
+			orderSelect.value = this.state.orderBy;
+			orderItem.appendChild( orderSelect );
+			filterRow.appendChild( orderItem );
+
+			// Tag / author / user filters - only offered where the block doesn't pin them
+			const directoryFilters = {};
+			this.getDirectoryFilterDefinitions().forEach( ( filter ) => {
+				if ( this.attributes[ filter.key ] ) {
+					return;
+				}
+
+				const filterItem = this.createElement( 'div', {
+					class: 'wps-filter-item',
+				} );
+				filterItem.appendChild(
+					this.createElement( 'label', {}, filter.label )
+				);
+				const filterInput = this.createElement( 'input', {
+					type: 'text',
+					class: 'wps-filter-text',
+					placeholder: filter.placeholder,
+					'aria-label': filter.label,
+					autocomplete: 'off',
+					maxlength: 100,
+				} );
+				filterInput.value = this.state.filters[ filter.key ];
+				filterItem.appendChild( filterInput );
+				filterRow.appendChild( filterItem );
+
+				directoryFilters[ filter.key ] = filterInput;
+			} );
+
+			// Minimum rating, installs and update age
+			const qualityInputs = {};
+			this.getQualityFilterDefinitions().forEach( ( filter ) => {
+				const filterItem = this.createElement( 'div', {
+					class: 'wps-filter-item',
+				} );
+				const filterId = this.getUrlParamName( filter.urlKey );
+				filterItem.appendChild(
+					this.createElement(
+						'label',
+						{ for: filterId },
+						filter.label
+					)
+				);
+				const filterSelect = this.createElement( 'select', {
+					id: filterId,
+					class: 'components-select-control__input',
+				} );
+				filter.options.forEach( ( option ) => {
+					filterSelect.appendChild(
+						this.createElement(
+							'option',
+							{ value: option.value },
+							option.label
+						)
+					);
+				} );
+				filterSelect.value = String( this.state.quality[ filter.key ] );
+				filterItem.appendChild( filterSelect );
+				filterRow.appendChild( filterItem );
+
+				qualityInputs[ filter.key ] = filterSelect;
+			} );
+
+			// Lowest "Tested up to" version
+			const testedItem = this.createElement( 'div', {
+				class: 'wps-filter-item',
+			} );
+			const testedId = this.getUrlParamName( 'tested' );
+			testedItem.appendChild(
+				this.createElement(
+					'label',
+					{ for: testedId },
+					'Tested with WordPress'
+				)
+			);
+			const testedInput = this.createElement( 'input', {
+				type: 'text',
+				id: testedId,
+				class: 'wps-filter-text',
+				placeholder: 'e.g. 6.5',
+				inputmode: 'decimal',
+				autocomplete: 'off',
+				maxlength: 20,
+			} );
+			testedInput.value = this.state.quality.testedWith;
+			testedItem.appendChild( testedInput );
+			filterRow.appendChild( testedItem );
+			qualityInputs.testedWith = testedInput;
+
+			// Only with screenshots toggle
+			const screenshotsToggle = this.createElement( 'div', {
+				class: 'wps-toggle-item',
+			} );
+			const screenshotsCheckbox = this.createElement( 'input', {
+				type: 'checkbox',
+				id: 'wps-screenshots-only',
+			} );
+			screenshotsCheckbox.checked = this.state.onlyWithScreenshots;
+			const screenshotsLabel = this.createElement(
+				'label',
+				{
+					for: 'wps-screenshots-only',
+				},
+				'Only show plugins with screenshots'
+			);
+
+			screenshotsToggle.appendChild( screenshotsCheckbox );
+			screenshotsToggle.appendChild( screenshotsLabel );
+			filterRow.appendChild( screenshotsToggle );
+
+			// Only compatible toggle - needs versions to compare against
+			let compatibleCheckbox = null;
+			if ( this.attributes.compatibility !== 'none' ) {
+				const compatibleToggle = this.createElement( 'div', {
+					class: 'wps-toggle-item',
+				} );
+				const compatibleId = this.getUrlParamName( 'compatible-only' );
+				compatibleCheckbox = this.createElement( 'input', {
+					type: 'checkbox',
+					id: compatibleId,
+				} );
+				compatibleCheckbox.checked = this.state.onlyCompatible;
+				compatibleToggle.appendChild( compatibleCheckbox );
+				compatibleToggle.appendChild(
+					this.createElement(
+						'label',
+						{ for: compatibleId },
+						this.attributes.compatibility === 'site'
+							? 'Only show plugins compatible with this site'
+							: 'Only show plugins compatible with my versions'
+					)
+				);
+				filterRow.appendChild( compatibleToggle );
+			}
+
+			filterControls.appendChild( filterRow );
+			controls.appendChild( filterControls );
+
+			// Store filter element references
+			this.filterElements = {
+				sortSelect,
+				orderSelect,
+				screenshotsCheckbox,
+				compatibleCheckbox,
+				directoryFilters,
+				qualityInputs,
+			};
+		}
+
+		// Visitors check plugins against their own site's versions
+		let versionInputs = null;
+		if ( this.attributes.compatibility === 'visitor' ) {
+			const versionRow = this.createElement( 'div', {
+				class: 'wps-compat-versions',
+			} );
+			versionInputs = {};
+			[
+				[ 'wp', 'Your WordPress version', 'e.g. 6.8' ],
+				[ 'php', 'Your PHP version', 'e.g. 8.2' ],
+			].forEach( ( [ key, label, placeholder ] ) => {
+				const versionItem = this.createElement( 'div', {
+					class: 'wps-filter-item',
+				} );
+				const versionId = this.getUrlParamName( `version-${ key }` );
+				versionItem.appendChild(
+					this.createElement( 'label', { for: versionId }, label )
+				);
+				const versionInput = this.createElement( 'input', {
+					type: 'text',
+					id: versionId,
+					class: 'wps-filter-text',
+					placeholder,
+					inputmode: 'decimal',
+					autocomplete: 'off',
+					maxlength: 20,
+				} );
+				versionInput.value = this.state.versions[ key ];
+				versionItem.appendChild( versionInput );
+				versionRow.appendChild( versionItem );
+				versionInputs[ key ] = versionInput;
+			} );
+			controls.appendChild( versionRow );
+		}
+
+		// Let visitors know when the block is pinned to a subset of the directory
+		const pinnedSummary = this.getPinnedFilterSummary();
+		if ( pinnedSummary ) {
+			controls.appendChild(
+				this.createElement(
+					'p',
+					{ class: 'wps-pinned-filters' },
+					pinnedSummary
+				)
+			);
+		}
+
+		// Shortlist view switch and export
+		const shortlistBar = this.createElement( 'div', {
+			class: 'wps-shortlist-bar',
+		} );
+		const shortlistButton = this.createElement( 'button', {
+			type: 'button',
+			class: 'wps-shortlist-view-toggle',
+			'aria-pressed': 'false',
+		} );
+		const shortlistExport = this.createElement(
+			'a',
+			{
+				class: 'wps-shortlist-export',
+				download: 'plugin-shortlist.txt',
+				style: 'display: none;',
+			},
+			'Export as slug list'
+		);
+		const shortlistStatus = this.createElement( 'span', {
+			class: 'wps-shortlist-status',
+			role: 'status',
+		} );
+		shortlistBar.appendChild( shortlistButton );
+		shortlistBar.appendChild( shortlistExport );
+		shortlistBar.appendChild( shortlistStatus );
+
+		// Results info
+		const resultsInfo = this.createElement( 'div', {
+			class: 'wps-results-info',
+			style: 'display: none;',
+		} );
+		const resultsCount = this.createElement( 'span', {
+			class: 'wps-results-count',
+		} );
+
+		const staleNotice = this.createElement(
+			'span',
+			{
+				class: 'wps-stale-notice',
+				role: 'status',
+				style: 'display: none;',
+			},
+			'Plugin data may be out of date.'
+		);
+
+		resultsInfo.appendChild( resultsCount );
+		resultsInfo.appendChild( staleNotice );
+
+		// Shown while waiting out the proxy's rate limit
+		const rateLimitNotice = this.createElement( 'p', {
+			class: 'wps-rate-limit-notice',
+			role: 'status',
+			style: 'display: none;',
+		} );
+
+		// Results
+		const results = this.createElement( 'div', {
+			class: 'wps-search-block__results',
+		} );
+		const grid =
+			serverGrid ||
+			this.createElement( 'div', { class: 'wps-plugin-grid' } );
+		const loading = this.createElement( 'div', {
+			class: 'wps-loading',
+			style: 'display: none;',
+		} );
+		loading.appendChild(
+			this.createElement( 'div', { class: 'wps-spinner' } )
+		);
+		loading.appendChild(
+			this.createElement( 'p', {}, 'Loading plugins...' )
+		);
+
+		results.appendChild( grid );
+		results.appendChild( loading );
+
+		// Load More button with WordPress classes
+		const loadMoreContainer = this.createElement( 'div', {
+			class: 'wps-load-more-container',
+			style: 'display: none;',
+		} );
+
+		// FIXED: Create load more button with WordPress structure
+		const loadMoreButtonContainer = this.createButton(
+			'Load More Plugins',
+			() => this.loadMorePlugins()
+		);
+
+		const loadMoreSpinner = this.createElement( 'div', {
+			class: 'wps-load-more-spinner',
+			style: 'display: none;',
+		} );
+		loadMoreSpinner.appendChild(
+			this.createElement( 'div', { class: 'wps-spinner' } )
+		);
+		loadMoreSpinner.appendChild(
+			this.createElement( 'span', {}, 'Loading more...' )
+		);
+
+		// Shown above the retry button when a page fails to load
+		const loadMoreError = this.createElement( 'p', {
+			class: 'wps-load-more-error',
+			role: 'alert',
+			style: 'display: none;',
+		} );
+
+		loadMoreContainer.appendChild( loadMoreError );
+		loadMoreContainer.appendChild( loadMoreButtonContainer.container );
+		loadMoreContainer.appendChild( loadMoreSpinner );
+
+		// Numbered page links
+		const pagination = this.createElement( 'nav', {
+			class: 'wps-pagination',
+			'aria-label': 'Plugin results pages',
+			style: 'display: none;',
+		} );
+
+		container.appendChild( header );
+		if ( controls.hasChildNodes() ) {
+			container.appendChild( controls );
+		}
+		container.appendChild( shortlistBar );
+		container.appendChild( resultsInfo );
+		container.appendChild( rateLimitNotice );
+		container.appendChild( results );
+		container.appendChild( loadMoreContainer );
+		container.appendChild( pagination );
+
+		this.block.appendChild( container );
+
+		// Store references
+		this.elements = {
+			controls,
+			shortlistButton,
+			shortlistExport,
+			shortlistStatus,
+			resultsInfo,
+			resultsCount,
+			staleNotice,
+			rateLimitNotice,
+			grid,
+			loading,
+			pagination,
+			loadMoreContainer,
+			loadMoreButton: loadMoreButtonContainer.link,
+			loadMoreSpinner,
+			loadMoreError,
+			searchInput,
+			versionInputs,
+		};
+	}
+
+	/**
+	 * Bind events for all interactive elements
+	 */
+	bindEvents() {
+		// Back/forward between states pushed by this block
+		if ( this.urlState.enabled ) {
+			window.addEventListener( 'popstate', () => this.handlePopState() );
+		}
+
+		// Keyword search - debounced while typing, immediate on Enter
+		if ( this.elements.searchInput ) {
+			this.elements.searchInput.addEventListener( 'input', ( e ) => {
+				this.scheduleSearch( e.target.value );
+			} );
+
+			this.elements.searchInput.addEventListener( 'keydown', ( e ) => {
+				if ( e.key === 'Enter' ) {
+					e.preventDefault();
+					this.scheduleSearch( e.target.value, 0 );
+				}
+			} );
+		}
+
+		// Filter controls
+		if ( this.filterElements ) {
+			// Sort by
+			this.filterElements.sortSelect.addEventListener(
+				'change',
+				( e ) => {
+					this.state.sortBy = e.target.value;
+					this.state.currentPage = 1;
+					this.state.plugins = [];
+					this.performSearch();
+				}
+			);
+
+			// Then order by - sorted by the proxy, so start over from page 1
+			this.filterElements.orderSelect.addEventListener(
+				'change',
+				( e ) => {
+					this.state.orderBy = e.target.value;
+					this.state.currentPage = 1;
+					this.state.plugins = [];
+					this.performSearch();
+				}
+			);
+
+			// Tag / author / user - applied when the field is committed
+			Object.entries( this.filterElements.directoryFilters ).forEach(
+				( [ key, input ] ) => {
+					input.addEventListener( 'change', ( e ) => {
+						const value = e.target.value.trim();
+						if ( value === this.state.filters[ key ] ) {
+							return;
+						}
+
+						this.state.filters[ key ] = value;
+						this.state.currentPage = 1;
+						this.state.plugins = [];
+						this.performSearch();
+					} );
+				}
+			);
+
+			// Quality filters - applied by the proxy, so start over from page 1
+			Object.entries( this.filterElements.qualityInputs ).forEach(
+				( [ key, input ] ) => {
+					input.addEventListener( 'change', () => {
+						const quality = getQualityFilters( {
+							...this.state.quality,
+							[ key ]: input.value,
+						} );
+						input.value = String( quality[ key ] );
+
+						if ( quality[ key ] === this.state.quality[ key ] ) {
+							return;
+						}
+
+						this.state.quality = quality;
+						this.state.currentPage = 1;
+						this.state.plugins = [];
+						this.performSearch();
+					} );
+				}
+			);
+
+			// Screenshots only toggle
+			this.filterElements.screenshotsCheckbox.addEventListener(
+				'change',
+				( e ) => {
+					this.state.onlyWithScreenshots = e.target.checked;
+
+					// The proxy filters by screenshots, so start over from page 1
+					this.state.currentPage = 1;
+					this.state.plugins = [];
+					this.performSearch();
+				}
+			);
+
+			// Compatible only toggle - also filtered by the proxy
+			if ( this.filterElements.compatibleCheckbox ) {
+				this.filterElements.compatibleCheckbox.addEventListener(
+					'change',
+					( e ) => {
+						this.state.onlyCompatible = e.target.checked;
+						this.state.currentPage = 1;
+						this.state.plugins = [];
+						this.performSearch();
+					}
+				);
+			}
+		}
+
+		this.elements.shortlistButton.addEventListener( 'click', () =>
+			this.setShortlistView( ! this.shortlist.active )
+		);
+
+		// Visitor versions - remembered for their next visit
+		if ( this.elements.versionInputs ) {
+			Object.entries( this.elements.versionInputs ).forEach(
+				( [ key, input ] ) => {
+					input.addEventListener( 'change', () =>
+						this.setVersion( key, input.value )
+					);
+				}
+			);
+		}
+	}
+
+	/**
+	 * Change a version the compatibility badges compare against
+	 *
+	 * @param {string} key   - 'wp' or 'php'
+	 * @param {string} value - Version typed by the visitor
+	 */
+	setVersion( key, value ) {
+		const version = normalizeVersion( value, key === 'php' ? 2 : 3 );
+		this.elements.versionInputs[ key ].value = version;
+
+		if ( version === this.state.versions[ key ] ) {
+			return;
+		}
+
+		this.state.versions = { ...this.state.versions, [ key ]: version };
+
+		try {
+			window.localStorage.setItem(
+				VISITOR_VERSIONS_KEY,
+				JSON.stringify( this.state.versions )
+			);
+		} catch ( error ) {
+			// Storage blocked - the versions still apply to this page view
+		}
+
+		// Filtered results depend on the versions, the rest only need new badges
+		if ( this.state.onlyCompatible ) {
+			this.state.currentPage = 1;
+			this.state.plugins = [];
+			this.performSearch();
+		} else {
+			this.refreshCompatibilityBadges();
+		}
+	}
+
+	/**
+	 * Sort orders offered to visitors
+	 *
+	 * @return {Array} Options with value and label
+	 */
+	getSortOptions() {
+		return getSortOptions( this.attributes.browseTypes );
+	}
+
+	/**
+	 * Secondary sort orders the proxy applies within a feed
+	 *
+	 * @return {Array} Options with value and label
+	 */
+	getOrderOptions() {
+		return [
+			{ value: '', label: 'Feed order' },
+			{ value: 'rating', label: 'Highest rated' },
+			{ value: 'installs', label: 'Most active installs' },
+			{ value: 'name', label: 'Name (A-Z)' },
+			{ value: 'last_updated', label: 'Last updated' },
+		];
+	}
+
+	/**
+	 * Directory filters supported by the query route
+	 *
+	 * @return {Array} Filter definitions keyed by request parameter
+	 */
+	getDirectoryFilterDefinitions() {
+		return [
+			{ key: 'tag', label: 'Tag', placeholder: 'e.g. woocommerce' },
+			{
+				key: 'author',
+				label: 'Author',
+				placeholder: 'WordPress.org username',
+			},
+			{
+				key: 'user',
+				label: 'Favorited by',
+				placeholder: 'WordPress.org username',
+			},
+		];
+	}
+
+	/**
+	 * Quality filters offered as drop-downs
+	 *
+	 * @return {Array} Filters with key, urlKey, label and options
+	 */
+	getQualityFilterDefinitions() {
+		return [
+			{
+				key: 'minRating',
+				label: 'Rating',
+				options: [
+					{ value: '0', label: 'Any rating' },
+					...RATING_THRESHOLDS.map( ( stars ) => ( {
+						value: String( stars ),
+						label: stars === 5 ? '5 stars' : `${ stars }+ stars`,
+					} ) ),
+				],
+			},
+			{
+				key: 'minInstalls',
+				label: 'Active installs',
+				options: [
+					{ value: '0', label: 'Any number' },
+					...INSTALL_THRESHOLDS.map( ( installs ) => ( {
+						value: String( installs ),
+						label: `${ installs.toLocaleString() }+`,
+					} ) ),
+				],
+			},
+			{
+				key: 'updatedWithin',
+				label: 'Last updated',
+				options: [
+					{ value: '0', label: 'Any time' },
+					...UPDATED_WITHIN_MONTHS.map( ( months ) => ( {
+						value: String( months ),
+						label: `In the last ${ months } month${
+							months !== 1 ? 's' : ''
+						}`,
+					} ) ),
+				],
+			},
+		].map( ( filter ) => ( {
+			...filter,
+			urlKey: QUALITY_URL_KEYS[ filter.key ],
+		} ) );
+	}
+
+	/**
+	 * Describe the filters pinned by the block settings
+	 *
+	 * @return {string} Summary text, or an empty string when nothing is pinned
+	 */
+	getPinnedFilterSummary() {
+		const parts = this.getDirectoryFilterDefinitions()
+			.filter( ( filter ) => this.attributes[ filter.key ] )
+			.map(
+				( filter ) =>
+					`${ filter.label }: ${ this.attributes[ filter.key ] }`
+			);
+
+		return parts.length > 0
+			? `Showing plugins for ${ parts.join( ', ' ) }`
+			: '';
+	}
+
+	/**
+	 * Queue a keyword search, replacing any search still waiting to run
+	 *
+	 * @param {string} value - Raw value of the search input
+	 * @param {number} delay - Debounce delay in milliseconds
+	 */
+	scheduleSearch( value, delay = 300 ) {
+		clearTimeout( this.searchTimeout );
+
+		const searchTerm = value.trim();
+
+		// Drop the in-flight request straight away so stale results never land
+		if ( this.currentRequest ) {
+			this.currentRequest.abort();
+			this.searchInterrupted = true;
+		}
+
+		this.searchTimeout = setTimeout( () => {
+			this.searchTimeout = null;
+
+			// Nothing to do if the term is unchanged and its results are intact
+			if (
+				searchTerm === this.state.searchTerm &&
+				! this.searchInterrupted
+			) {
+				return;
+			}
+
+			this.searchInterrupted = false;
+
+			this.state.searchTerm = searchTerm;
+			this.state.currentPage = 1;
+			this.state.plugins = [];
+			this.performSearch();
+		}, delay );
+	}
+
+	/**
+	 * Load more plugins with proper screenshot filtering
+	 *
+	 * @return {Promise<boolean|undefined>} False when the page failed to load
+	 */
+	async loadMorePlugins() {
+		if ( ! this.state.hasMorePages || this.state.isLoadingMore ) {
+			return;
+		}
+
+		this.state.currentPage++;
+		this.state.isLoadingMore = true;
+
+		// Show load more spinner
+		this.elements.loadMoreError.style.display = 'none';
+		this.elements.loadMoreButton.parentNode.style.display = 'none';
+		this.elements.loadMoreSpinner.style.display = 'flex';
+
+		try {
+			// FIXED: Load plugins with proper screenshot filtering
+			if ( ( await this.performSearch( true ) ) === false ) {
+				// Stay on the failed page so a retry loads it rather than skipping it
+				this.state.currentPage--;
+				this.updateUrl( true );
+
+				// Infinite scroll gets the retry button too, or it would stall silently
+				this.elements.loadMoreError.style.display = '';
+				this.elements.loadMoreButton.parentNode.style.display =
+					'inline-block';
+				this.elements.loadMoreButton.textContent = 'Try Loading More';
+				return false;
+			}
+		} finally {
+			this.state.isLoadingMore = false;
+		}
+	}
+
+	/**
+	 * Reset filters to defaults
+	 */
+	resetFilters() {
+		this.state.sortBy = this.attributes.defaultSort || 'popular';
+		this.state.orderBy = '';
+		this.state.searchTerm = '';
+		this.state.filters = {
+			tag: this.attributes.tag,
+			author: this.attributes.author,
+			user: this.attributes.user,
+		};
+		this.state.quality = { ...this.attributes.qualityFilters };
+		this.state.onlyWithScreenshots = false;
+		this.state.onlyCompatible = false;
+		this.state.currentPage = 1;
+		this.state.plugins = [];
+
+		this.syncControls();
+		this.performSearch();
+	}
+
+	/**
+	 * Update the search and filter controls to match the state
+	 */
+	syncControls() {
+		if ( this.elements.searchInput ) {
+			this.elements.searchInput.value = this.state.searchTerm;
+		}
+		if ( this.filterElements ) {
+			this.filterElements.sortSelect.value = this.state.sortBy;
+			this.filterElements.orderSelect.value = this.state.orderBy;
+			this.filterElements.screenshotsCheckbox.checked =
+				this.state.onlyWithScreenshots;
+			if ( this.filterElements.compatibleCheckbox ) {
+				this.filterElements.compatibleCheckbox.checked =
+					this.state.onlyCompatible;
+			}
+			Object.entries( this.filterElements.directoryFilters ).forEach(
+				( [ key, input ] ) => {
+					input.value = this.state.filters[ key ];
+				}
+			);
+			Object.entries( this.filterElements.qualityInputs ).forEach(
+				( [ key, input ] ) => {
+					input.value = String( this.state.quality[ key ] );
+				}
+			);
+		}
+	}
+
+	/**
+	 * Query-string parameter name for this block
+	 *
+	 * @param {string} key - Unprefixed parameter name
+	 * @return {string} Parameter name namespaced to this block
+	 */
+	getUrlParamName( key ) {
+		return `${ this.urlState.prefix }${ key }`;
+	}
+
+	/**
+	 * Query-string parameters describing the current state
+	 *
+	 * Values matching the block defaults are left out so untouched blocks
+	 * keep a clean URL.
+	 *
+	 * @return {Object} Parameter values keyed by unprefixed name
+	 */
+	getUrlStateParams() {
+		const params = {};
+
+		if ( this.isCuratedMode() ) {
+			return params;
+		}
+
+		if ( this.state.searchTerm ) {
+			params.q = this.state.searchTerm;
+		}
+		if (
+			this.state.sortBy !== ( this.attributes.defaultSort || 'popular' )
+		) {
+			params.sort = this.state.sortBy;
+		}
+		if ( this.state.orderBy ) {
+			params.order = this.state.orderBy;
+		}
+		Object.entries( this.state.filters ).forEach( ( [ key, value ] ) => {
+			if ( value && value !== this.attributes[ key ] ) {
+				params[ key ] = value;
+			}
+		} );
+		if ( this.state.onlyWithScreenshots ) {
+			params.screenshots = '1';
+		}
+		if ( this.state.onlyCompatible ) {
+			params.compatible = '1';
+		}
+		// "any" stands for a filter cleared from a block default
+		Object.entries( QUALITY_URL_KEYS ).forEach( ( [ key, urlKey ] ) => {
+			const value = this.state.quality[ key ];
+			if ( value !== this.attributes.qualityFilters[ key ] ) {
+				params[ urlKey ] = String( value || 'any' );
+			}
+		} );
+		if ( this.state.currentPage > 1 ) {
+			params.page = String( this.state.currentPage );
+		}
+
+		return params;
+	}
+
+	/**
+	 * Load state from the query string
+	 *
+	 * Only values a visitor could have set through the controls are accepted.
+	 *
+	 * @return {number} Results page the URL asks for
+	 */
+	applyUrlState() {
+		if ( ! this.urlState.enabled || this.isCuratedMode() ) {
+			return 1;
+		}
+
+		const search = new URLSearchParams( window.location.search );
+		const get = ( key ) =>
+			( search.get( this.getUrlParamName( key ) ) || '' ).trim();
+
+		this.state.searchTerm = get( 'q' ).slice( 0, 200 );
+
+		// Sort and filters only apply where visitors can see them
+		const sortBy = get( 'sort' );
+		this.state.sortBy =
+			this.state.showFilters &&
+			this.getSortOptions().some( ( option ) => option.value === sortBy )
+				? sortBy
+				: this.attributes.defaultSort || 'popular';
+
+		const orderBy = get( 'order' );
+		this.state.orderBy =
+			this.state.showFilters &&
+			this.getOrderOptions().some(
+				( option ) => option.value === orderBy
+			)
+				? orderBy
+				: '';
+
+		this.getDirectoryFilterDefinitions().forEach( ( filter ) => {
+			this.state.filters[ filter.key ] =
+				this.attributes[ filter.key ] ||
+				( this.state.showFilters
+					? get( filter.key ).slice( 0, 100 )
+					: '' );
+		} );
+
+		this.state.onlyWithScreenshots =
+			this.state.showFilters && get( 'screenshots' ) === '1';
+		this.state.onlyCompatible =
+			this.state.showFilters &&
+			this.attributes.compatibility !== 'none' &&
+			get( 'compatible' ) === '1';
+
+		const quality = {};
+		Object.entries( QUALITY_URL_KEYS ).forEach( ( [ key, urlKey ] ) => {
+			const value = this.state.showFilters ? get( urlKey ) : '';
+			quality[ key ] =
+				value !== '' ? value : this.attributes.qualityFilters[ key ];
+		} );
+		this.state.quality = getQualityFilters( quality );
+
+		const page = parseInt( get( 'page' ), 10 );
+		return page > 1 ? page : 1;
+	}
+
+	/**
+	 * Page to fetch first when restoring a results page
+	 *
+	 * Numbered pages are fetched directly; the other modes start at page 1
+	 * and load up to the target.
+	 *
+	 * @param {number} targetPage - Results page asked for by the URL
+	 * @return {number} Page to request first
+	 */
+	getStartPage( targetPage ) {
+		return this.attributes.pagination === 'numbered' ? targetPage : 1;
+	}
+
+	/**
+	 * Reflect the current state in the query string
+	 *
+	 * Nothing is written while state is being restored from the URL, and
+	 * the URL is left alone when nothing changed.
+	 *
+	 * @param {boolean} replace - Replace the history entry instead of adding one
+	 */
+	updateUrl( replace = false ) {
+		if (
+			! this.urlState.enabled ||
+			this.urlState.restoring ||
+			this.isCuratedMode()
+		) {
+			return;
+		}
+
+		const url = new URL( window.location.href );
+		const params = this.getUrlStateParams();
+
+		URL_STATE_KEYS.forEach( ( key ) => {
+			const name = this.getUrlParamName( key );
+			if ( params[ key ] ) {
+				url.searchParams.set( name, params[ key ] );
+			} else {
+				url.searchParams.delete( name );
+			}
+		} );
+
+		if ( url.href === window.location.href ) {
+			return;
+		}
+
+		if ( replace ) {
+			window.history.replaceState( window.history.state, '', url );
+		} else {
+			window.history.pushState( null, '', url );
+		}
+	}
+
+	/**
+	 * Follow back/forward navigation to a different state
+	 */
+	async handlePopState() {
+		const previous = new URLSearchParams(
+			this.getUrlStateParams()
+		).toString();
+		const targetPage = this.applyUrlState();
+		const current = new URLSearchParams(
+			this.getUrlStateParams()
+		).toString();
+
+		// Only reload when this block's own state changed
+		if ( previous !== current || this.state.currentPage !== targetPage ) {
+			this.syncControls();
+
+			this.urlState.restoring = true;
+			try {
+				this.state.currentPage = this.getStartPage( targetPage );
+				this.state.plugins = [];
+				await this.performSearch();
+				await this.loadPagesUpTo( targetPage );
+			} finally {
+				this.urlState.restoring = false;
+			}
+		}
+
+		// Keep the detail dialog in step with the URL
+		const slug = new URLSearchParams( window.location.search ).get(
+			this.getUrlParamName( 'plugin' )
+		);
+		if ( ! slug && this.details.currentSlug ) {
+			this.closePluginDetails();
+		} else if ( slug && slug !== this.details.currentSlug ) {
+			this.openDeepLinkedPlugin();
+		}
+
+		// And the comparison tray
+		this.applyCompareUrl();
+		this.renderCompareTray();
+		this.syncCompareCheckboxes();
+		this.loadComparePlugins();
+	}
+
+	/**
+	 * Load further pages until the given page is reached
+	 *
+	 * @param {number} targetPage - Last page to load
+	 */
+	async loadPagesUpTo( targetPage ) {
+		const lastPage = Math.min( targetPage, MAX_RESTORED_PAGES );
+
+		while ( this.state.currentPage < lastPage && this.state.hasMorePages ) {
+			if ( ( await this.loadMorePlugins() ) === false ) {
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Build the proxy route and parameters for the current state
+	 *
+	 * @return {Object} Object with endpoint and params properties
+	 */
+	buildRequest() {
+		// The shortlist is fetched like a curated list, in the order it was saved
+		if ( this.shortlist.active ) {
+			return {
+				endpoint: 'plugins',
+				params: { slugs: this.shortlist.slugs.join( ',' ) },
+			};
+		}
+
+		// Curated lists are fetched by slug, in the editor-defined order
+		if ( this.isCuratedMode() ) {
+			return {
+				endpoint: 'plugins',
+				params: { slugs: this.attributes.slugs.join( ',' ) },
+			};
+		}
+
+		// Build browse parameters
+		const params = {
+			action: 'query_plugins',
+			per_page: this.state.resultsPerPage.toString(),
+			page: this.state.currentPage.toString(),
+		};
+
+		if ( this.state.onlyWithScreenshots ) {
+			params.has_screenshots = '1';
+		}
+
+		// Without versions there is nothing to be incompatible with
+		if ( this.state.onlyCompatible ) {
+			if ( this.state.versions.wp ) {
+				params.compatible_wp = this.state.versions.wp;
+			}
+			if ( this.state.versions.php ) {
+				params.compatible_php = this.state.versions.php;
+			}
+		}
+		
+		// Debug: Log browse parameters
+		console.log( 'WordPress Plugin Browse: Browse params:', params );
+
+		// Sorting picks the feed - only offered feeds ever reach the state
+		params.browse = this.state.sortBy;
+
+		if ( this.state.searchTerm ) {
+			params.search = this.state.searchTerm;
+		}
+
+		Object.entries( this.state.filters ).forEach( ( [ key, value ] ) => {
+			if ( value ) {
+				params[ key ] = value;
+			}
+		} );
+
+		Object.assign( params, getQualityFilterParams( this.state.quality ) );
+
+		// The proxy picks the gems out of a feed by this block's thresholds
+		if ( this.state.sortBy === HIDDEN_GEMS ) {
+			Object.assign(
+				params,
+				getGemCriteriaParams( this.attributes.hiddenGems )
+			);
+		}
+
+		if ( this.state.orderBy ) {
+			params.orderby = this.state.orderBy;
+		}
+
+		// Debug logging - show final params
+		console.log( 'Final browse params:', params );
+
+		return { endpoint: 'query', params };
+	}
+
+	/**
+	 * Build the client cache key for a proxy request
+	 *
+	 * Params are sorted so equivalent requests share an entry, and the block
+	 * attributes are part of the identity so editing the block invalidates
+	 * everything cached under its old settings.
+	 *
+	 * @param {string} endpoint - Proxy route
+	 * @param {Object} params   - Request parameters
+	 * @return {Object} Object with key and identity properties
+	 */
+	getCacheKey( endpoint, params ) {
+		const sortedParams = Object.keys( params )
+			.sort()
+			.map( ( key ) => [ key, String( params[ key ] ) ] );
+		const identity = JSON.stringify( [
+			this.cacheScope,
+			endpoint,
+			sortedParams,
+		] );
+
+		// Short djb2 hash for the storage key; the identity guards collisions
+		let hash = 5381;
+		for ( let i = 0; i < identity.length; i++ ) {
+			hash = ( hash * 33 + identity.charCodeAt( i ) ) % 4294967296;
+		}
+
+		return {
+			key: `${ CLIENT_CACHE_PREFIX }${ hash.toString( 36 ) }`,
+			identity,
+		};
+	}
+
+	/**
+	 * Read a cached proxy response
+	 *
+	 * @param {Object} cacheKey - Key from getCacheKey()
+	 * @return {Object|null} Response with info and plugins, or null
+	 */
+	readCache( cacheKey ) {
+		let raw = this.cache.get( cacheKey.key );
+
+		if ( ! raw ) {
+			try {
+				raw = window.sessionStorage.getItem( cacheKey.key );
+			} catch ( error ) {
+				// Storage blocked, e.g. by privacy settings
+				return null;
+			}
+		}
+
+		if ( ! raw ) {
+			return null;
+		}
+
+		try {
+			const entry = JSON.parse( raw );
+
+			if (
+				entry.identity !== cacheKey.identity ||
+				entry.expires <= Date.now()
+			) {
+				this.deleteCache( cacheKey.key );
+				return null;
+			}
+
+			// Keep a copy in memory so repeat reads skip storage
+			this.cache.set( cacheKey.key, raw );
+
+			return entry.data;
+		} catch ( error ) {
+			this.deleteCache( cacheKey.key );
+			return null;
+		}
+	}
+
+	/**
+	 * Cache a proxy response
+	 *
+	 * @param {Object} cacheKey - Key from getCacheKey()
+	 * @param {Object} data     - Response with info and plugins
+	 */
+	writeCache( cacheKey, data ) {
+		// Fallback data from an upstream outage should be refetched next time
+		if ( data.stale ) {
+			return;
+		}
+
+		const raw = JSON.stringify( {
+			identity: cacheKey.identity,
+			expires: Date.now() + CLIENT_CACHE_TTL,
+			data,
+		} );
+
+		this.cache.set( cacheKey.key, raw );
+
+		try {
+			window.sessionStorage.setItem( cacheKey.key, raw );
+		} catch ( error ) {
+			// Most likely over quota - drop expired entries and try once more
+			this.pruneCache();
+			try {
+				window.sessionStorage.setItem( cacheKey.key, raw );
+			} catch ( retryError ) {
+				// The in-memory copy still serves this page view
+			}
+		}
+	}
+
+	/**
+	 * Remove a cached proxy response
+	 *
+	 * @param {string} key - Storage key
+	 */
+	deleteCache( key ) {
+		this.cache.delete( key );
+
+		try {
+			window.sessionStorage.removeItem( key );
+		} catch ( error ) {
+			// Storage blocked - nothing to remove
+		}
+	}
+
+	/**
+	 * Remove expired or unreadable responses from sessionStorage
+	 */
+	pruneCache() {
+		try {
+			const storage = window.sessionStorage;
+			const now = Date.now();
+
+			// Walk backwards since removing items shifts the indexes
+			for ( let i = storage.length - 1; i >= 0; i-- ) {
+				const key = storage.key( i );
+				if ( ! key || ! key.startsWith( CLIENT_CACHE_PREFIX ) ) {
+					continue;
+				}
+
+				let expires = 0;
+				try {
+					expires = JSON.parse( storage.getItem( key ) ).expires;
+				} catch ( error ) {
+					// Unreadable entries are removed below
+				}
+
+				if ( ! ( expires > now ) ) {
+					storage.removeItem( key );
+				}
+			}
+		} catch ( error ) {
+			// Storage blocked - nothing to prune
+		}
+	}
+
+	/**
+	 * Store a proxy response in the block state
+	 *
+	 * @param {Object}  data       - Response with info and plugins
+	 * @param {boolean} appendMode - Whether to append results or replace them
+	 */
+	applyResults( data, appendMode = false ) {
+		let newPlugins = Array.isArray( data.plugins ) ? data.plugins : [];
+		this.state.totalResults = parseInt( data.info?.results ) || 0;
+		this.state.resultsEstimated = Boolean( data.info?.estimated );
+		this.state.stale = Boolean( data.stale );
+		this.state.sortedFrom = parseInt( data.info?.sorted_from ) || 0;
+
+		console.log(
+			`Found ${ newPlugins.length } plugins, total results: ${ this.state.totalResults }`
+		);
+
+		// Check if there are more pages
+		const totalPages =
+			parseInt( data.info?.pages ) ||
+			Math.ceil( this.state.totalResults / this.state.resultsPerPage );
+		const isSlugList = this.isCuratedMode() || this.shortlist.active;
+		this.state.totalPages = isSlugList ? 1 : totalPages;
+		this.state.hasMorePages =
+			! isSlugList && this.state.currentPage < totalPages;
+
+		// Normalize screenshot metadata for all plugins
+		this.prepareScreenshots( newPlugins );
+
+		// Apply client-side filtering for advanced options
+		newPlugins = this.applyClientFilters( newPlugins );
+
+		// Append or replace plugins
+		if ( appendMode && this.state.plugins.length > 0 ) {
+			// Append new plugins, avoiding duplicates
+			const existingSlugs = new Set(
+				this.state.plugins.map( ( p ) => p.slug )
+			);
+			const uniqueNewPlugins = newPlugins.filter(
+				( p ) => ! existingSlugs.has( p.slug )
+			);
+			this.state.plugins = [ ...this.state.plugins, ...uniqueNewPlugins ];
+		} else {
+			// Replace plugins for new search
+			this.state.plugins = newPlugins;
+		}
+	}
+
+	/**
+	 * Store and render a proxy response
+	 *
+	 * @param {Object}  data       - Response with info and plugins
+	 * @param {boolean} appendMode - Whether to append results or replace them
+	 */
+	displayResults( data, appendMode = false ) {
+		this.rateLimitRetries = 0;
+		this.elements.rateLimitNotice.style.display = 'none';
+
+		this.applyResults( data, appendMode );
+
+		this.renderResults( appendMode );
+		this.updateLoadMoreButton();
+		this.updateResultsInfo();
+	}
+
+	/**
+	 * Tell the visitor to slow down and wait until the rate limit allows a retry
+	 *
+	 * @param {Response}    response - The 429 response
+	 * @param {AbortSignal} signal   - Aborted when a newer search takes over
+	 * @return {Promise} Resolves once the wait is over or aborted
+	 */
+	waitForRateLimit( response, signal ) {
+		// Retry-After is in seconds; keep the wait sensible if it is missing or huge
+		const seconds = Math.max(
+			1,
+			Math.min(
+				60,
+				parseInt( response.headers.get( 'Retry-After' ) ) || 5
+			)
+		);
+
+		this.elements.rateLimitNotice.textContent = `You're searching a little fast. Trying again in ${ seconds } second${
+			seconds !== 1 ? 's' : ''
+		}...`;
+		this.elements.rateLimitNotice.style.display = '';
+
+		return new Promise( ( resolve ) => {
+			const timer = setTimeout( resolve, seconds * 1000 );
+			signal.addEventListener(
+				'abort',
+				() => {
+					clearTimeout( timer );
+					resolve();
+				},
+				{ once: true }
+			);
+		} );
+	}
+
+	/**
+	 * Browse plugins with current parameters
+	 *
+	 * @param {boolean} appendMode - Whether to append results or replace them
+	 * @return {Promise<boolean|undefined>} False when the request failed
+	 */
+	async performSearch( appendMode = false ) {
+		if ( this.currentRequest ) {
+			this.currentRequest.abort();
+		}
+
+		// Loading more pages deepens the current entry rather than adding one
+		this.updateUrl( appendMode );
+
+		const { endpoint, params } = this.buildRequest();
+
+		// Nothing picked yet - no need to ask the server
+		if ( endpoint === 'plugins' && ! params.slugs ) {
+			this.currentRequest = null;
+			this.setLoading( false );
+			this.state.plugins = [];
+			this.state.totalResults = 0;
+			this.state.totalPages = 1;
+			this.state.hasMorePages = false;
+			this.state.stale = false;
+			this.renderResults();
+			this.updateLoadMoreButton();
+			this.updateResultsInfo();
+			return;
+		}
+		const cacheKey = this.getCacheKey( endpoint, params );
+
+		// Seen this exact request recently - render it without a round trip
+		const cached = this.readCache( cacheKey );
+		if ( cached ) {
+			this.currentRequest = null;
+			if ( ! appendMode ) {
+				this.setLoading( false );
+			}
+			this.elements.loadMoreSpinner.style.display = 'none';
+			this.displayResults( cached, appendMode );
+			return;
+		}
+
+		if ( ! appendMode ) {
+			this.setLoading( true );
+		}
+
+		const request = new AbortController();
+		this.currentRequest = request;
+
+		try {
+		const url = new URL(
+			`/wp-json/wordpress-plugin-search/v1/${ endpoint }`,
+			window.location.origin
+		);
+		Object.entries( params ).forEach( ( [ key, value ] ) => {
+			url.searchParams.set( key, value );
+		} );
+		
+		// Debug: Log final URL
+		console.log( 'WordPress Plugin Search: Final URL:', url.toString() );
+
+			const response = await fetch( url.toString(), {
+				headers: {
+					'Content-Type': 'application/json',
+					...( this.restNonce && { 'X-WP-Nonce': this.restNonce } ),
+				},
+				signal: request.signal,
+				credentials: 'same-origin',
+			} );
+
+			if (
+				response.status === 429 &&
+				this.rateLimitRetries < MAX_RATE_LIMIT_RETRIES
+			) {
+				this.rateLimitRetries++;
+				await this.waitForRateLimit( response, request.signal );
+
+				// Superseded by a newer search while waiting
+				if ( request.signal.aborted ) {
+					return;
+				}
+
+				return this.performSearch( appendMode );
+			}
+
+			if ( ! response.ok ) {
+				throw new Error( `HTTP ${ response.status }` );
+			}
+
+			const data = await response.json();
+
+			// Debug logging
+			console.log( 'API Response:', data );
+
+			// Validate response structure
+			if ( ! data || typeof data !== 'object' ) {
+				throw new Error( 'Invalid response format from server' );
+			}
+
+			this.writeCache( cacheKey, data );
+			this.displayResults( data, appendMode );
+		} catch ( error ) {
+			if ( error.name !== 'AbortError' ) {
+				console.error( 'Search error:', error );
+
+				// Handle specific error types
+				let errorMessage = appendMode
+					? 'Unable to load more plugins. Please try again.'
+					: 'Failed to search plugins.';
+
+				if ( error.message.includes( 'HTTP 429' ) ) {
+					errorMessage =
+						'Too many searches in a short time. Please wait a moment and try again.';
+				} else if ( error.message.includes( 'HTTP 503' ) ) {
+					errorMessage =
+						'WordPress.org plugin directory is temporarily unavailable. Please try again later.';
+				} else if ( error.message.includes( 'HTTP 502' ) ) {
+					errorMessage =
+						'Unable to connect to plugin directory. Please check your internet connection.';
+				} else if ( error.message.includes( 'HTTP 404' ) ) {
+					errorMessage =
+						'Search service not found. Please refresh the page and try again.';
+				} else if (
+					error.name === 'TypeError' &&
+					error.message.includes( 'fetch' )
+				) {
+					errorMessage =
+						'Network error. Please check your internet connection.';
+				}
+
+				this.rateLimitRetries = 0;
+				this.elements.rateLimitNotice.style.display = 'none';
+
+				// Failed pages keep what's shown and explain next to Load More
+				if ( appendMode ) {
+					this.elements.loadMoreError.textContent = errorMessage;
+				} else {
+					this.renderError( errorMessage );
+				}
+
+				return false;
+			}
+		} finally {
+			// A newer request has taken over - leave its loading state alone
+			if ( this.currentRequest === request ) {
+				if ( ! appendMode ) {
+					this.setLoading( false );
+				}
+				this.currentRequest = null;
+			}
+
+			// Hide load more spinner
+			this.elements.loadMoreSpinner.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Apply client-side filtering to plugins
+	 *
+	 * @param {Array} plugins - Array of plugin objects
+	 * @return {Array} Filtered array of plugins
+	 */
+	applyClientFilters( plugins ) {
+		// Slug lists aren't filtered
+		if ( this.isCuratedMode() || this.shortlist.active ) {
+			return [ ...plugins ];
+		}
+
+		// The proxy applies the same checks while paging, so this only drops
+		// plugins from a proxy or CDN copy that ignored the parameters
+		return plugins.filter( ( plugin ) =>
+			matchesQualityFilters( plugin, this.state.quality )
+		);
+	}
+
+	/**
+	 * Normalize the screenshot metadata returned by the proxy
+	 *
+	 * @param {Array} plugins - Array of plugin objects
+	 */
+	prepareScreenshots( plugins ) {
+		for ( const plugin of plugins ) {
+			plugin.screenshots = Array.isArray( plugin.screenshots )
+				? plugin.screenshots.filter( ( screenshot ) => screenshot?.url )
+				: [];
+			plugin.primaryScreenshot = plugin.screenshots[ 0 ]?.url;
+			plugin.currentScreenshotIndex = 0;
+		}
+	}
+
+	/**
+	 * Set loading state
+	 *
+	 * @param {boolean} loading - Whether to show loading state
+	 */
+	setLoading( loading ) {
+		this.state.isLoading = loading;
+
+		if ( loading ) {
+			this.elements.loading.style.display = 'block';
+			this.elements.grid.style.opacity = '0.6';
+		} else {
+			this.elements.loading.style.display = 'none';
+			this.elements.grid.style.opacity = '1';
+		}
+	}
+
+	/**
+	 * Update load more button visibility and state
+	 */
+	updateLoadMoreButton() {
+		if ( this.attributes.pagination === 'numbered' ) {
+			this.elements.loadMoreContainer.style.display = 'none';
+			this.renderPagination();
+			return;
+		}
+
+		// FIXED: Better logic for load more with screenshot filtering
+		const shouldShowLoadMore =
+			this.state.hasMorePages && this.state.plugins.length > 0;
+
+		this.elements.loadMoreError.style.display = 'none';
+
+		if ( shouldShowLoadMore ) {
+			this.elements.loadMoreContainer.style.display = 'block';
+
+			// Infinite scroll only shows the spinner while a page loads
+			if ( this.attributes.pagination === 'infinite' ) {
+				this.elements.loadMoreButton.parentNode.style.display = 'none';
+			} else {
+				this.elements.loadMoreButton.parentNode.style.display =
+					'inline-block';
+				this.elements.loadMoreButton.textContent = 'Load More Plugins';
+				this.elements.loadMoreButton.disabled = false;
+			}
+		} else {
+			this.elements.loadMoreContainer.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Render numbered page links for the current results
+	 */
+	renderPagination() {
+		const nav = this.elements.pagination;
+		nav.innerHTML = '';
+
+		const totalPages = this.state.totalPages;
+		if ( this.state.plugins.length === 0 || totalPages <= 1 ) {
+			nav.style.display = 'none';
+			return;
+		}
+
+		const currentPage = this.state.currentPage;
+		const controls = this.createElement( 'ul', {
+			class: 'wps-pagination-controls',
+		} );
+
+		const addItem = ( child ) => {
+			const item = this.createElement( 'li' );
+			item.appendChild( child );
+			controls.appendChild( item );
+		};
+
+		if ( currentPage > 1 ) {
+			addItem(
+				this.createPageLink( currentPage - 1, 'Previous', {
+					'aria-label': 'Previous page',
+					rel: 'prev',
+				} )
+			);
+		}
+
+		this.getPageNumbers( currentPage, totalPages ).forEach( ( page ) => {
+			if ( page === null ) {
+				addItem(
+					this.createElement(
+						'span',
+						{
+							class: 'wps-pagination-ellipsis',
+							'aria-hidden': 'true',
+						},
+						'…'
+					)
+				);
+				return;
+			}
+
+			addItem(
+				this.createPageLink( page, String( page ), {
+					'aria-label': `Page ${ page }`,
+					...( page === currentPage && { 'aria-current': 'page' } ),
+				} )
+			);
+		} );
+
+		if ( currentPage < totalPages ) {
+			addItem(
+				this.createPageLink( currentPage + 1, 'Next', {
+					'aria-label': 'Next page',
+					rel: 'next',
+				} )
+			);
+		}
+
+		nav.appendChild( controls );
+		nav.style.display = 'block';
+	}
+
+	/**
+	 * Page numbers to link to, with null marking a gap
+	 *
+	 * Always includes the first and last page plus two pages either side
+	 * of the current one.
+	 *
+	 * @param {number} currentPage - Page being shown
+	 * @param {number} totalPages  - Number of pages available
+	 * @return {Array} Page numbers in order, with null for gaps
+	 */
+	getPageNumbers( currentPage, totalPages ) {
+		const pages = [];
+
+		for ( let page = 1; page <= totalPages; page++ ) {
+			if (
+				page === 1 ||
+				page === totalPages ||
+				Math.abs( page - currentPage ) <= 2
+			) {
+				pages.push( page );
+			} else if ( pages[ pages.length - 1 ] !== null ) {
+				pages.push( null );
+			}
+		}
+
+		return pages;
+	}
+
+	/**
+	 * Create a link to a numbered results page
+	 *
+	 * Links carry a real href so they can be opened in a new tab or shared.
+	 *
+	 * @param {number} page       - Page to link to
+	 * @param {string} text       - Link text
+	 * @param {Object} attributes - Extra link attributes
+	 * @return {HTMLElement} Button container with the link
+	 */
+	createPageLink( page, text, attributes = {} ) {
+		const url = new URL( window.location.href );
+		const param = this.getUrlParamName( 'page' );
+		if ( page > 1 ) {
+			url.searchParams.set( param, String( page ) );
+		} else {
+			url.searchParams.delete( param );
+		}
+
+		const isCurrent = attributes[ 'aria-current' ] === 'page';
+
+		const container = this.createElement( 'div', {
+			class: 'wp-block-button',
+		} );
+		const link = this.createElement(
+			'a',
+			{
+				class: `wp-block-button__link wp-element-button wps-pagination-button ${
+					isCurrent ? 'active' : ''
+				}`.trim(),
+				href: url.href,
+				...attributes,
+			},
+			text
+		);
+
+		link.addEventListener( 'click', ( e ) => {
+			e.preventDefault();
+			if ( ! isCurrent ) {
+				this.goToPage( page );
+			}
+		} );
+
+		container.appendChild( link );
+		return container;
+	}
+
+	/**
+	 * Show a numbered results page
+	 *
+	 * @param {number} page - Page to show
+	 */
+	goToPage( page ) {
+		this.state.currentPage = page;
+		this.state.plugins = [];
+		this.performSearch();
+
+		// Bring the top of the new page into view
+		this.block.scrollIntoView( { behavior: 'smooth', block: 'start' } );
+	}
+
+	/**
+	 * Load the next page whenever the end of the results scrolls into view
+	 */
+	observeInfiniteScroll() {
+		if ( this.attributes.pagination !== 'infinite' ) {
+			return;
+		}
+
+		this.infiniteScroll.observer = new window.IntersectionObserver(
+			( entries ) => {
+				this.infiniteScroll.visible = entries.some(
+					( entry ) => entry.isIntersecting
+				);
+				if ( this.infiniteScroll.visible ) {
+					this.fillInfiniteScroll();
+				}
+			},
+			{ rootMargin: '0px 0px 400px 0px' }
+		);
+
+		this.infiniteScroll.observer.observe( this.elements.loadMoreContainer );
+	}
+
+	/**
+	 * Keep loading pages while the end of the results stays in view
+	 *
+	 * The observer only fires when visibility changes, so a short page that
+	 * leaves the sentinel on screen needs another load without a new event.
+	 */
+	async fillInfiniteScroll() {
+		if ( this.infiniteScroll.filling ) {
+			return;
+		}
+
+		this.infiniteScroll.filling = true;
+		try {
+			while (
+				this.infiniteScroll.visible &&
+				this.state.hasMorePages &&
+				! this.state.isLoading &&
+				! this.urlState.restoring
+			) {
+				const loaded = this.state.plugins.length;
+				await this.loadMorePlugins();
+
+				// Stop on a failed or empty page rather than hammering the proxy
+				if ( this.state.plugins.length === loaded ) {
+					break;
+				}
+			}
+		} finally {
+			this.infiniteScroll.filling = false;
+		}
+	}
+
+	/**
+	 * Update results info display
+	 */
+	updateResultsInfo() {
+		if ( this.state.plugins.length > 0 ) {
+			this.elements.resultsInfo.style.display = 'flex';
+
+			let countText = `Showing ${ this.state.plugins.length.toLocaleString() } plugin${
+				this.state.plugins.length !== 1 ? 's' : ''
+			}`;
+
+			// Browse filters don't apply to the shortlist
+			if ( this.shortlist.active ) {
+				this.elements.resultsCount.textContent = `${ countText } from your shortlist`;
+				this.elements.staleNotice.style.display = this.state.stale
+					? ''
+					: 'none';
+				return;
+			}
+
+			// FIXED: Better messaging for screenshot filter
+			if ( this.state.onlyWithScreenshots ) {
+				countText += ' with screenshots';
+			}
+
+			if ( this.state.onlyCompatible && this.hasVersions() ) {
+				countText += ' compatible with your versions';
+			}
+
+			if ( this.state.searchTerm ) {
+				countText += ` matching "${ this.state.searchTerm }"`;
+			}
+
+			if ( this.state.hasMorePages ) {
+				// Filtered scans stop early, so their total is an estimate
+				const total = this.state.totalResults.toLocaleString();
+				countText += this.state.resultsEstimated
+					? ` (about ${ total } total available)`
+					: ` (${ total } total available)`;
+			}
+
+			// Secondary sorts only reorder the feed's leading plugins
+			if ( this.state.sortedFrom ) {
+				countText += `, ordered from the first ${ this.state.sortedFrom.toLocaleString() } in the feed`;
+			}
+
+			this.elements.resultsCount.textContent = countText;
+			this.elements.staleNotice.style.display = this.state.stale
+				? ''
+				: 'none';
+		} else {
+			this.elements.resultsInfo.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Mark a card as a hidden gem, with a badge explaining why
+	 *
+	 * @param {HTMLElement} item   - Card element
+	 * @param {Object}      plugin - Plugin object
+	 */
+	updateHiddenGemBadge( item, plugin ) {
+		const isGem = isHiddenGem( plugin, this.attributes.hiddenGems );
+
+		item.classList.toggle( 'wps-hidden-gem', isGem );
+		item.querySelector( '.wps-hidden-gem-badge' )?.remove();
+
+		if ( isGem ) {
+			item.insertBefore(
+				this.createElement(
+					'span',
+					{
+						class: 'wps-hidden-gem-badge',
+						title: getHiddenGemReason(
+							plugin,
+							this.attributes.hiddenGems
+						),
+					},
+					'Hidden gem'
+				),
+				item.firstChild
+			);
+		}
+	}
+
+	/**
+	 * Create enhanced screenshot slider with robust event handling
+	 */
+	createScreenshotSlider( plugin, pluginIndex ) {
+		const sliderContainer = this.createElement( 'div', {
+			class: 'wps-screenshot-slider',
+		} );
+
+		// If no screenshots available, show placeholder immediately
+		if ( ! plugin.screenshots || plugin.screenshots.length === 0 ) {
+			const placeholder = this.createElement( 'div', {
+				class: 'wps-no-screenshot',
+			} );
+			placeholder.innerHTML =
+				'<span>No screenshots available</span>';
+			sliderContainer.appendChild( placeholder );
+			return sliderContainer;
+		}
+
+		// Build the slider with robust event handling
+		this.buildScreenshotSlider(
+			sliderContainer,
+			plugin,
+			plugin.screenshots,
+			pluginIndex
+		);
+
+		return sliderContainer;
+	}
+
+	/**
+	 * Build the screenshot slider interface with robust lightbox integration
+	 */
+	buildScreenshotSlider( container, plugin, screenshots, pluginIndex ) {
+		const currentIndex = plugin.currentScreenshotIndex || 0;
+
+		// Main image container
+		const mainImage = this.createElement( 'div', {
+			class: 'wps-main-screenshot',
+		} );
+		const img = this.createElement( 'img', {
+			src: screenshots[ currentIndex ]?.url || screenshots[ 0 ]?.url,
+			alt: `${ this.sanitizeAndDecodeText( plugin.name ) } screenshot`,
+			loading: 'lazy',
+		} );
+
+		// Handle image load errors
+		img.addEventListener( 'error', ( e ) => {
+			// Show placeholder if image fails to load
+			mainImage.innerHTML =
+				'<div class="wps-no-screenshot"><span>No screenshots available</span></div>';
+		} );
+
+		// ROBUST: Click to open lightbox with comprehensive error handling
+		img.addEventListener( 'click', ( e ) => {
+			e.stopPropagation();
+			e.preventDefault();
+
+			try {
+				this.openLightbox( plugin, plugin.currentScreenshotIndex || 0 );
+			} catch ( error ) {
+				// Error opening lightbox from click
+			}
+		} );
+
+		mainImage.appendChild( img );
+		container.appendChild( mainImage );
+
+		// Thumbnail navigation (show max 5 thumbs)
+		if ( screenshots.length > 1 ) {
+			const thumbs = this.createElement( 'div', {
+				class: 'wps-screenshot-thumbs',
+			} );
+
+			screenshots.slice( 0, 5 ).forEach( ( screenshot, index ) => {
+				const thumb = this.createElement( 'div', {
+					class: `wps-screenshot-thumb ${
+						index === currentIndex ? 'active' : ''
+					}`,
+					'data-index': index,
+					tabindex: '0',
+					'aria-label': `Screenshot ${ index + 1 }`,
+				} );
+
+				const thumbImg = this.createElement( 'img', {
+					src: screenshot.url,
+					alt: screenshot.caption || `Screenshot ${ index + 1 }`,
+					loading: 'lazy',
+				} );
+
+				// Handle thumb image errors
+				thumbImg.addEventListener( 'error', ( e ) => {
+					e.target.parentNode.style.display = 'none';
+				} );
+
+				// ROBUST: Click to change main image and open lightbox
+				thumb.addEventListener( 'click', ( e ) => {
+					e.stopPropagation();
+					e.preventDefault();
+
+					try {
+						this.goToScreenshot( plugin, screenshots, img, index );
+						this.updateThumbnailHighlight( thumbs, index );
+						this.openLightbox( plugin, index );
+					} catch ( error ) {
+						console.error(
+							'Error opening lightbox from thumbnail:',
+							error
+						);
+					}
+				} );
+
+				// Keyboard navigation for thumbnails
+				thumb.addEventListener( 'keydown', ( e ) => {
+					if ( e.key === 'Enter' || e.key === ' ' ) {
+						e.preventDefault();
+						e.stopPropagation();
+
+						try {
+							this.goToScreenshot(
+								plugin,
+								screenshots,
+								img,
+								index
+							);
+							this.updateThumbnailHighlight( thumbs, index );
+							this.openLightbox( plugin, index );
+						} catch ( error ) {
+							console.error(
+								'Error opening lightbox from keyboard:',
+								error
+							);
+						}
+					}
+				} );
+
+				thumb.appendChild( thumbImg );
+				thumbs.appendChild( thumb );
+			} );
+
+			container.appendChild( thumbs );
+		}
+	}
+
+	/**
+	 * Create the plugin icon image
+	 *
+	 * @param {Object} plugin - Plugin object with icons
+	 * @param {string} size   - 'small' beside the title, 'large' for icon-first cards
+	 * @return {HTMLElement|null} Icon image, or null when the plugin has none
+	 */
+	createPluginIcon( plugin, size = 'small' ) {
+		const icon = getPluginIcon( plugin.icons );
+		if ( ! icon ) {
+			return null;
+		}
+
+		const img = this.createElement( 'img', {
+			class: `wps-plugin-icon wps-plugin-icon--${ size }`,
+			src: icon.src,
+			alt: '',
+			loading: 'lazy',
+			width: size === 'large' ? 128 : 48,
+			height: size === 'large' ? 128 : 48,
+		} );
+		if ( icon.srcset ) {
+			img.setAttribute( 'srcset', icon.srcset );
+		}
+
+		img.addEventListener( 'error', () => img.remove() );
+
+		return img;
+	}
+
+	/**
+	 * Create the banner header for banner cards
+	 *
+	 * Falls back to a large icon on a plain background when the plugin has
+	 * no banner, so the card never renders an empty box.
+	 *
+	 * @param {Object} plugin - Plugin object with banners and icons
+	 * @return {HTMLElement} Banner container
+	 */
+	createPluginBanner( plugin ) {
+		const container = this.createElement( 'div', {
+			class: 'wps-plugin-banner',
+		} );
+
+		const showFallback = () => {
+			container.innerHTML = '';
+			container.classList.add( 'wps-plugin-banner--fallback' );
+			const icon = this.createPluginIcon( plugin, 'large' );
+			if ( icon ) {
+				container.appendChild( icon );
+			}
+		};
+
+		const banner = getPluginBanner( plugin.banners );
+		if ( ! banner ) {
+			showFallback();
+			return container;
+		}
+
+		const img = this.createElement( 'img', {
+			class: 'wps-plugin-banner__image',
+			src: banner.src,
+			alt: `${ this.sanitizeAndDecodeText( plugin.name ) } banner`,
+			loading: 'lazy',
+		} );
+		if ( banner.srcset ) {
+			img.setAttribute( 'srcset', banner.srcset );
+		}
+
+		img.addEventListener( 'error', showFallback );
+
+		container.appendChild( img );
+		return container;
+	}
+
+	/**
+	 * Go to specific screenshot
+	 */
+	goToScreenshot( plugin, screenshots, imgElement, index ) {
+		if ( index < 0 || index >= screenshots.length ) return;
+
+		plugin.currentScreenshotIndex = index;
+
+		// Update main image
+		imgElement.src = screenshots[ index ].url;
+		imgElement.alt = `${ this.sanitizeAndDecodeText(
+			plugin.name
+		) } screenshot ${ index + 1 }`;
+	}
+
+	/**
+	 * Update thumbnail highlight
+	 */
+	updateThumbnailHighlight( thumbsContainer, activeIndex ) {
+		const thumbs = thumbsContainer.querySelectorAll(
+			'.wps-screenshot-thumb'
+		);
+		thumbs.forEach( ( thumb, index ) => {
+			if ( index === activeIndex ) {
+				thumb.classList.add( 'active' );
+			} else {
+				thumb.classList.remove( 'active' );
+			}
+		} );
+	}
+
+	/**
+	 * Render results
+	 */
+	renderResults( appendMode = false ) {
+		if ( ! appendMode ) {
+			this.elements.grid.innerHTML = '';
+		}
+
+		if ( this.state.plugins.length === 0 && ! appendMode ) {
+			const noResults = this.createElement( 'div', {
+				class: 'wps-no-results',
+			} );
+
+			if ( this.shortlist.active ) {
+				noResults.textContent =
+					'Your shortlist is empty. Use the star on a plugin to save it here.';
+			} else if ( this.hasActiveFilters() ) {
+				noResults.innerHTML = `
+					<p>No plugins found matching your filter criteria.</p>
+					<div class="wps-search-suggestion">
+						<p>Try:</p>
+						<ul>
+							<li>Using different or fewer keywords</li>
+							<li>Clearing the tag, author or favorites filters</li>
+							<li>Lowering the rating, installs, last updated or tested version filters</li>
+							<li>Changing the sort order</li>
+							<li>Disabling the screenshots filter</li>
+						</ul>
+					</div>
+				`;
+			} else if ( this.isCuratedMode() ) {
+				noResults.textContent = 'No plugins have been selected yet.';
+			} else if ( this.state.sortBy === HIDDEN_GEMS ) {
+				noResults.textContent =
+					'No hidden gems among the recently updated plugins right now.';
+			} else {
+				noResults.textContent = 'No plugins available at the moment.';
+			}
+
+			this.elements.grid.appendChild( noResults );
+			return;
+		}
+
+		// Get plugins to render
+		const pluginsToRender = appendMode
+			? this.state.plugins.slice( -this.state.resultsPerPage )
+			: this.state.plugins;
+
+		pluginsToRender.forEach( ( plugin, index ) => {
+			const actualIndex = appendMode
+				? this.state.plugins.length - this.state.resultsPerPage + index
+				: index;
+			const item = this.renderPluginItem( plugin, actualIndex );
+			if ( item ) {
+				this.elements.grid.appendChild( item );
+			}
+		} );
+	}
+
+	/**
+	 * Check if any filters are active
+	 */
+	hasActiveFilters() {
+		const hasVisitorFilters = Object.entries( this.state.filters ).some(
+			( [ key, value ] ) => value !== this.attributes[ key ]
+		);
+
+		return (
+			this.state.searchTerm !== '' ||
+			hasVisitorFilters ||
+			this.state.onlyWithScreenshots ||
+			this.state.onlyCompatible ||
+			this.state.orderBy !== '' ||
+			Object.keys( QUALITY_URL_KEYS ).some(
+				( key ) =>
+					this.state.quality[ key ] !==
+					this.attributes.qualityFilters[ key ]
+			) ||
+			this.state.sortBy !== ( this.attributes.defaultSort || 'popular' )
+		);
+	}
+
+	/**
+	 * Render individual plugin item
+	 *
+	 * @param {Object} plugin - Plugin object
+	 * @param {number} index - Index of the plugin in the list
+	 * @return {HTMLElement|null} Rendered plugin element or null
+	 */
+	renderPluginItem( plugin, index ) {
+		if ( ! plugin || ! plugin.name ) {
+			return null;
+		}
+
+		const layout = this.attributes.cardLayout;
+
+		const item = this.createElement( 'div', {
+			class: `wps-plugin-item wps-plugin-item--${ layout }`,
+			'data-slug': plugin.slug,
+			tabindex: '0',
+		} );
+
+		// Media comes FIRST for consistent layout - icon-first cards have none
+		if ( layout === 'screenshot' ) {
+			item.appendChild( this.createScreenshotSlider( plugin, index ) );
+		} else if ( layout === 'banner' ) {
+			item.appendChild( this.createPluginBanner( plugin ) );
+		}
+
+		// Plugin info section comes AFTER the media for proper alignment
+		const info = this.createElement( 'div', { class: 'wps-plugin-info' } );
+
+		// Title with icon - properly decode HTML entities
+		const heading = this.createElement( 'div', {
+			class: 'wps-plugin-heading',
+		} );
+		const icon = this.createPluginIcon(
+			plugin,
+			layout === 'icon' ? 'large' : 'small'
+		);
+		if ( icon ) {
+			heading.appendChild( icon );
+		}
+		const title = this.createElement(
+			'h3',
+			{ class: 'wps-plugin-title' },
+			this.sanitizeAndDecodeText( plugin.name )
+		);
+		heading.appendChild( title );
+		heading.appendChild( this.createShortlistToggle( plugin ) );
+		info.appendChild( heading );
+
+		// Byline, linked to the author's site or profile when there is one
+		if ( plugin.author ) {
+			const byline = this.createElement(
+				'p',
+				{ class: 'wps-plugin-author' },
+				'By '
+			);
+			const authorName = this.sanitizeAndDecodeText( plugin.author );
+			byline.appendChild(
+				plugin.author_url
+					? this.createElement(
+							'a',
+							{
+								href: plugin.author_url,
+								target: '_blank',
+								rel: 'noopener noreferrer',
+							},
+							authorName
+					  )
+					: document.createTextNode( authorName )
+			);
+			info.appendChild( byline );
+		}
+
+		// Short description - properly styled and positioned
+		if ( plugin.short_description ) {
+			const description = this.createElement(
+				'p',
+				{ class: 'wps-plugin-description' },
+				this.sanitizeAndDecodeText( plugin.short_description )
+			);
+			info.appendChild( description );
+		}
+
+		// First few tags
+		const tags = Object.values( plugin.tags || {} ).slice( 0, 3 );
+		if ( tags.length > 0 ) {
+			const tagList = this.createElement( 'ul', {
+				class: 'wps-plugin-tags',
+			} );
+			tags.forEach( ( label ) => {
+				tagList.appendChild(
+					this.createElement(
+						'li',
+						{ class: 'wps-plugin-tag' },
+						this.sanitizeAndDecodeText( label )
+					)
+				);
+			} );
+			info.appendChild( tagList );
+		}
+
+		// Meta (rating and installs)
+		const meta = this.createElement( 'div', { class: 'wps-plugin-meta' } );
+
+		// Rating, with the per-star breakdown on hover
+		if ( plugin.rating ) {
+			const rating = Math.round( plugin.rating / 20 );
+			const stars = '★'.repeat( rating ) + '☆'.repeat( 5 - rating );
+			const ratingDiv = this.createElement( 'div', {
+				class: 'wps-plugin-rating',
+				title: this.getRatingBreakdownText( plugin ),
+			} );
+			ratingDiv.innerHTML = `<span class="wps-rating-stars">${ stars }</span> <span class="wps-rating-text">(${
+				plugin.num_ratings || 0
+			})</span>`;
+			meta.appendChild( ratingDiv );
+		}
+
+		// Installs
+		if ( plugin.active_installs ) {
+			const installs = this.createElement(
+				'div',
+				{ class: 'wps-plugin-installs' },
+				`${ plugin.active_installs.toLocaleString() }+ installs`
+			);
+			meta.appendChild( installs );
+		}
+
+		info.appendChild( meta );
+
+		// Compatibility, support health and downloads
+		const stats = this.getPluginStats( plugin );
+		if ( stats.length > 0 ) {
+			const statList = this.createElement( 'dl', {
+				class: 'wps-plugin-stats',
+			} );
+			stats.forEach( ( [ label, value ] ) => {
+				statList.appendChild( this.createElement( 'dt', {}, label ) );
+				statList.appendChild( this.createElement( 'dd', {}, value ) );
+			} );
+			info.appendChild( statList );
+		}
+
+		const badges = this.createCompatibilityBadges( plugin );
+		if ( badges ) {
+			info.appendChild( badges );
+		}
+
+		item.appendChild( info );
+
+		// Secondary link straight to WordPress.org
+		if ( plugin.slug ) {
+			info.appendChild(
+				this.createElement(
+					'a',
+					{
+						class: 'wps-plugin-wporg-link',
+						href: `https://wordpress.org/plugins/${ encodeURIComponent(
+							plugin.slug
+						) }/`,
+						target: '_blank',
+						rel: 'noopener noreferrer',
+					},
+					'View on WordPress.org'
+				)
+			);
+		}
+
+		if ( plugin.slug ) {
+			info.appendChild( this.createCompareToggle( plugin ) );
+		}
+
+		// Only worth a link when it isn't the directory page again
+		if (
+			plugin.homepage &&
+			! /^https?:\/\/wordpress\.org\/plugins\//.test( plugin.homepage )
+		) {
+			info.appendChild(
+				this.createElement(
+					'a',
+					{
+						class: 'wps-plugin-homepage-link',
+						href: plugin.homepage,
+						target: '_blank',
+						rel: 'noopener noreferrer',
+					},
+					'Plugin homepage'
+				)
+			);
+		}
+
+		this.updateHiddenGemBadge( item, plugin );
+		this.bindPluginItemEvents( item, plugin );
+
+		return item;
+	}
+
+	/**
+	 * Label and value pairs for the facts listed on a card
+	 *
+	 * Mirrors wordpress_plugin_search_get_plugin_stats() in PHP so
+	 * server-rendered cards match.
+	 *
+	 * @param {Object} plugin - Plugin object
+	 * @return {Array} Array of [ label, value ] pairs
+	 */
+	getPluginStats( plugin ) {
+		const stats = [];
+
+		const requires = [];
+		if ( plugin.requires ) {
+			requires.push( `WordPress ${ plugin.requires }` );
+		}
+		if ( plugin.requires_php ) {
+			requires.push( `PHP ${ plugin.requires_php }` );
+		}
+		if ( requires.length > 0 ) {
+			stats.push( [ 'Requires', requires.join( ' · ' ) ] );
+		}
+
+		if ( plugin.tested ) {
+			stats.push( [ 'Tested up to', plugin.tested ] );
+		}
+
+		// Two months of threads - nothing to judge when there were none
+		if ( plugin.support_threads > 0 ) {
+			const resolved = plugin.support_threads_resolved || 0;
+			stats.push( [
+				'Support',
+				`${ resolved.toLocaleString() } of ${ plugin.support_threads.toLocaleString() } threads resolved`,
+			] );
+		}
+
+		if ( plugin.downloaded ) {
+			stats.push( [ 'Downloads', plugin.downloaded.toLocaleString() ] );
+		}
+
+		return stats;
+	}
+
+	/**
+	 * Create the compatibility badges for a card
+	 *
+	 * @param {Object} plugin - Plugin object
+	 * @return {HTMLElement|null} Badge list, or null when there's nothing to say
+	 */
+	createCompatibilityBadges( plugin ) {
+		if ( this.attributes.compatibility === 'none' ) {
+			return null;
+		}
+
+		const badges = getCompatibilityBadges( plugin, this.state.versions );
+		if ( badges.length === 0 ) {
+			return null;
+		}
+
+		const list = this.createElement( 'ul', {
+			class: 'wps-compat-badges',
+		} );
+		badges.forEach( ( badge ) => {
+			list.appendChild(
+				this.createElement(
+					'li',
+					{
+						class: `wps-compat-badge wps-compat-badge--${ badge.status }`,
+					},
+					badge.label
+				)
+			);
+		} );
+
+		return list;
+	}
+
+	/**
+	 * Replace a card's compatibility badges to match the current versions
+	 *
+	 * @param {HTMLElement} item   - Card element
+	 * @param {Object}      plugin - Plugin object
+	 */
+	updateCompatibilityBadges( item, plugin ) {
+		const info = item.querySelector( '.wps-plugin-info' );
+		if ( ! info ) {
+			return;
+		}
+
+		info.querySelector( '.wps-compat-badges' )?.remove();
+
+		const badges = this.createCompatibilityBadges( plugin );
+		if ( badges ) {
+			// Keep the badges above the links, as in freshly rendered cards
+			info.insertBefore(
+				badges,
+				info.querySelector( '.wps-plugin-wporg-link' )
+			);
+		}
+	}
+
+	/**
+	 * Update every card's badges after the versions change
+	 */
+	refreshCompatibilityBadges() {
+		this.elements.grid
+			.querySelectorAll( '.wps-plugin-item[data-slug]' )
+			.forEach( ( item ) => {
+				const plugin = this.state.plugins.find(
+					( candidate ) => candidate.slug === item.dataset.slug
+				);
+				if ( plugin ) {
+					this.updateCompatibilityBadges( item, plugin );
+				}
+			} );
+	}
+
+	/**
+	 * Summarize the per-star rating counts for a tooltip
+	 *
+	 * @param {Object} plugin - Plugin object with ratings
+	 * @return {string} Summary such as "5 stars: 120, 4 stars: 8, ..." or ''
+	 */
+	getRatingBreakdownText( plugin ) {
+		if ( ! plugin.ratings || typeof plugin.ratings !== 'object' ) {
+			return '';
+		}
+
+		return [ 5, 4, 3, 2, 1 ]
+			.map(
+				( stars ) =>
+					`${ stars } star${ stars !== 1 ? 's' : '' }: ${ (
+						parseInt( plugin.ratings[ stars ] ) || 0
+					).toLocaleString() }`
+			)
+			.join( ', ' );
+	}
+
+	/**
+	 * Make a plugin card open the in-page detail view
+	 *
+	 * @param {HTMLElement} item   - Card element
+	 * @param {Object}      plugin - Plugin object
+	 */
+	bindPluginItemEvents( item, plugin ) {
+		// Click or Enter opens the in-page detail view
+		item.addEventListener( 'click', ( e ) => {
+			// Don't trigger if clicking on navigation elements, images or links
+			if (
+				e.target.closest(
+					'.wps-screenshot-thumb, .wps-main-screenshot img, a, .wps-compare-toggle, .wps-shortlist-toggle'
+				)
+			) {
+				return;
+			}
+
+			this.openPluginDetails( plugin.slug, plugin );
+		} );
+
+		item.addEventListener( 'keydown', ( e ) => {
+			if ( e.key === 'Enter' && e.target === item ) {
+				e.preventDefault();
+				this.openPluginDetails( plugin.slug, plugin );
+			}
+		} );
+	}
+
+	/**
+	 * Upgrade a server-rendered card to the interactive version
+	 *
+	 * The card markup is kept as-is; only the media, which needs the slider
+	 * and image error handling, and the compatibility badges are rebuilt.
+	 *
+	 * @param {HTMLElement} item   - Server-rendered card element
+	 * @param {Object}      plugin - Plugin object
+	 * @param {number}      index  - Position in the results
+	 */
+	hydratePluginItem( item, plugin, index ) {
+		this.updateHiddenGemBadge( item, plugin );
+
+		// The server can't know a visitor's own versions
+		this.updateCompatibilityBadges( item, plugin );
+
+		// Comparing and shortlisting need JavaScript, so the server leaves
+		// their controls out
+		item.querySelector( '.wps-plugin-info' )?.appendChild(
+			this.createCompareToggle( plugin )
+		);
+		item.querySelector( '.wps-plugin-heading' )?.appendChild(
+			this.createShortlistToggle( plugin )
+		);
+
+		const media = item.querySelector(
+			':scope > .wps-screenshot-slider, :scope > .wps-plugin-banner'
+		);
+		if ( media ) {
+			media.replaceWith(
+				this.attributes.cardLayout === 'banner'
+					? this.createPluginBanner( plugin )
+					: this.createScreenshotSlider( plugin, index )
+			);
+		}
+
+		item.querySelectorAll( '.wps-plugin-heading .wps-plugin-icon' ).forEach(
+			( icon ) => {
+				icon.addEventListener( 'error', () => icon.remove() );
+			}
+		);
+
+		this.bindPluginItemEvents( item, plugin );
+	}
+
+
+	/**
+	 * Render error message
+	 *
+	 * @param {string} message - Error message to display
+	 */
+	renderError( message ) {
+		this.elements.grid.innerHTML = '';
+
+		const errorDiv = this.createElement( 'div', { class: 'wps-error' } );
+		errorDiv.innerHTML = `
+			<h3>Error</h3>
+			<p>${ this.sanitizeInput( message ) }</p>
+		`;
+
+		// Create retry button with WordPress structure
+		const retryButtonContainer = this.createButton( 'Try Again', () =>
+			this.performSearch()
+		);
+		errorDiv.appendChild( retryButtonContainer.container );
+
+		this.elements.grid.appendChild( errorDiv );
+	}
+}
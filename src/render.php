@@ -3,35 +3,125 @@
  * @see https://github.com/WordPress/gutenberg/blob/trunk/docs/reference-guides/block-api/block-metadata.md#render
  */
 
+// Site-wide settings bound what each block may do
+$settings = wordpress_plugin_search_get_settings();
+
 // Sanitize attributes
-$results_per_page = isset( $attributes['resultsPerPage'] ) ? max( 1, min( 100, (int) $attributes['resultsPerPage'] ) ) : 12;
-$default_sort = isset( $attributes['defaultSort'] ) ? sanitize_text_field( $attributes['defaultSort'] ) : 'popular';
+$results_per_page = isset( $attributes['resultsPerPage'] ) ? max( 1, min( $settings['max_results_per_page'], (int) $attributes['resultsPerPage'] ) ) : min( 12, $settings['max_results_per_page'] );
+$block_feeds = wordpress_plugin_search_get_block_feeds( $attributes );
+$default_sort = $block_feeds['default'];
 $show_filters = isset( $attributes['showFilters'] ) ? (bool) $attributes['showFilters'] : true;
+$card_layout = isset( $attributes['cardLayout'] ) && in_array( $attributes['cardLayout'], array( 'screenshot', 'icon', 'banner' ), true ) ? $attributes['cardLayout'] : 'screenshot';
+$pagination = isset( $attributes['pagination'] ) && in_array( $attributes['pagination'], array( 'load-more', 'numbered', 'infinite' ), true ) ? $attributes['pagination'] : 'load-more';
+$compatibility = isset( $attributes['compatibility'] ) && in_array( $attributes['compatibility'], array( 'site', 'visitor', 'none' ), true ) ? $attributes['compatibility'] : 'site';
+$gem_criteria = wordpress_plugin_search_get_block_gem_criteria( $attributes );
 
 // Build data attributes for JavaScript
 $data_attributes = array(
 	'data-results-per-page' => esc_attr( $results_per_page ),
 	'data-default-sort' => esc_attr( $default_sort ),
 	'data-show-filters' => esc_attr( $show_filters ? 'true' : 'false' ),
+	'data-card-layout' => esc_attr( $card_layout ),
+	'data-pagination' => esc_attr( $pagination ),
+	'data-browse-types' => esc_attr( implode( ',', $block_feeds['feeds'] ) ),
+	'data-gem-min-rating' => esc_attr( $gem_criteria['min_rating'] ),
+	'data-gem-max-installs' => esc_attr( $gem_criteria['max_installs'] ),
+	'data-gem-max-age' => esc_attr( $gem_criteria['max_age_days'] ),
+	'data-compatibility' => esc_attr( $compatibility ),
+);
+
+// Compatibility badges against this site - the server knows its own versions
+$site_versions = array();
+if ( 'site' === $compatibility ) {
+	$site_versions = wordpress_plugin_search_get_site_versions();
+	$data_attributes['data-wp-version'] = esc_attr( $site_versions['wp'] );
+	$data_attributes['data-php-version'] = esc_attr( $site_versions['php'] );
+}
+
+// Logged-in visitors keep their shortlist in user meta, everyone else in the browser
+if ( is_user_logged_in() ) {
+	$data_attributes['data-shortlist'] = 'user';
+	$data_attributes['data-rest-nonce'] = esc_attr( wp_create_nonce( 'wp_rest' ) );
+}
+
+// Curated list mode - slugs are passed through in the editor-defined order
+if ( isset( $attributes['mode'] ) && 'curated' === $attributes['mode'] ) {
+	$slugs = isset( $attributes['slugs'] ) ? wordpress_plugin_search_parse_slugs( $attributes['slugs'] ) : array();
+	$data_attributes['data-mode'] = 'curated';
+	$data_attributes['data-slugs'] = esc_attr( implode( ',', $slugs ) );
+}
+
+// Pinned directory filters - only output when set
+foreach ( array( 'tag', 'author', 'user' ) as $filter_key ) {
+	$filter_value = isset( $attributes[ $filter_key ] ) ? sanitize_text_field( $attributes[ $filter_key ] ) : '';
+	if ( '' !== $filter_value ) {
+		$data_attributes[ 'data-' . $filter_key ] = esc_attr( $filter_value );
+	}
+}
+
+// Default quality filters - visitors can change these unlike the pinned filters
+$quality_filters = array(
+	'minRating' => 'data-min-rating',
+	'minInstalls' => 'data-min-installs',
+	'updatedWithin' => 'data-updated-within',
+	'testedWith' => 'data-tested-with',
 );
+foreach ( $quality_filters as $attribute => $data_attribute ) {
+	$filter_value = 'testedWith' === $attribute
+		? wordpress_plugin_search_normalize_version( isset( $attributes[ $attribute ] ) ? $attributes[ $attribute ] : '', 2 )
+		: ( isset( $attributes[ $attribute ] ) ? absint( $attributes[ $attribute ] ) : 0 );
+	if ( ! empty( $filter_value ) ) {
+		$data_attributes[ $data_attribute ] = esc_attr( $filter_value );
+	}
+}
 
 $block_wrapper_attributes = get_block_wrapper_attributes( $data_attributes );
+
+// First page of results, server-rendered for search engines and no-JS visitors
+$initial_results = wordpress_plugin_search_get_initial_results( $attributes );
+$is_curated = isset( $data_attributes['data-mode'] );
 ?>
 
 <div <?php echo $block_wrapper_attributes; ?>>
-	<div class="wps-loading-initial" aria-live="polite">
-		<div class="wps-spinner"></div>
-		<p><?php echo esc_html__( 'Loading Plugin Directory...', 'wordpress-plugin-search-block-wp' ); ?></p>
-	</div>
-	
+	<?php if ( is_wp_error( $initial_results ) ) : ?>
+		<div class="wps-loading-initial" aria-live="polite">
+			<div class="wps-spinner"></div>
+			<p><?php echo esc_html__( 'Loading Plugin Directory...', 'wordpress-plugin-search-block-wp' ); ?></p>
+		</div>
+	<?php else : ?>
+		<div class="wps-browse-interface">
+			<div class="wps-search-block__header">
+				<h2 class="wps-search-block__title"><?php echo esc_html__( 'WordPress Plugin Directory', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<p class="wps-search-block__description">
+					<?php
+					echo $is_curated
+						? esc_html__( 'A hand-picked selection of WordPress plugins.', 'wordpress-plugin-search-block-wp' )
+						: esc_html__( 'Browse popular WordPress plugins from the official directory.', 'wordpress-plugin-search-block-wp' );
+					?>
+				</p>
+			</div>
+			<div class="wps-search-block__results">
+				<div class="wps-plugin-grid">
+					<?php
+					foreach ( $initial_results['plugins'] as $plugin ) {
+						echo wordpress_plugin_search_render_plugin_card( $plugin, $card_layout, $site_versions, $gem_criteria );
+					}
+					?>
+				</div>
+			</div>
+		</div>
+
+		<?php // Hydration data - lets the front end pick up these cards without refetching ?>
+		<script type="application/json" class="wps-initial-results"><?php echo wp_json_encode( $initial_results, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT ); ?></script>
+	<?php endif; ?>
+
 	<noscript>
 		<div class="wps-no-javascript">
-			<h3><?php echo esc_html__( 'JavaScript Required', 'wordpress-plugin-search-block-wp' ); ?></h3>
 			<p>
-				<?php echo esc_html__( 'This plugin search requires JavaScript. Please visit', 'wordpress-plugin-search-block-wp' ); ?> 
+				<?php echo esc_html__( 'Searching and filtering need JavaScript. To see more plugins, visit the', 'wordpress-plugin-search-block-wp' ); ?>
 				<a href="https://wordpress.org/plugins/" target="_blank" rel="noopener noreferrer">
 					<?php echo esc_html__( 'WordPress.org Plugin Directory', 'wordpress-plugin-search-block-wp' ); ?>
-				</a> 
+				</a>
 				<?php echo esc_html__( 'directly.', 'wordpress-plugin-search-block-wp' ); ?>
 			</p>
 		</div>
@@ -0,0 +1,88 @@
+/**
+ * Browse feeds of the WordPress.org plugin directory, offered as sort orders.
+ *
+ * Shared by the editor and the front end so both offer the same feeds under
+ * the same names. Mirrors wordpress_plugin_search_get_browse_types() in PHP,
+ * plus the Hidden Gems order the proxy builds from one of the feeds.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Every browse feed, in the order they are offered.
+ */
+export const BROWSE_FEEDS = [ 'popular', 'new', 'updated', 'featured', 'beta' ];
+
+/**
+ * Sort order showing only the hidden gems of HIDDEN_GEMS_FEED.
+ */
+export const HIDDEN_GEMS = 'gems';
+
+/**
+ * Feed the proxy scans for hidden gems - recently updated plugins are the
+ * likeliest to pass the age check.
+ */
+export const HIDDEN_GEMS_FEED = 'updated';
+
+/**
+ * Add the Hidden Gems order to a site's allowed feeds when it allows the
+ * feed gems come from.
+ *
+ * @param {Array} feeds - Allowed feed names
+ * @return {Array} The feeds, plus HIDDEN_GEMS when available
+ */
+export function withHiddenGems( feeds ) {
+	return Array.isArray( feeds ) && feeds.includes( HIDDEN_GEMS_FEED )
+		? [ ...feeds, HIDDEN_GEMS ]
+		: feeds;
+}
+
+/**
+ * Sort options for the feeds every given list allows.
+ *
+ * An empty or missing list doesn't restrict anything, so callers can pass
+ * the site-wide and block-level lists without checking them first.
+ *
+ * @param {...Array} allowedLists - Lists of allowed feed names
+ * @return {Array} Options with value and label
+ */
+export function getSortOptions( ...allowedLists ) {
+	const labels = {
+		popular: __( 'Most Popular', 'wordpress-plugin-search-block-wp' ),
+		new: __( 'Newest', 'wordpress-plugin-search-block-wp' ),
+		updated: __( 'Recently Updated', 'wordpress-plugin-search-block-wp' ),
+		featured: __( 'Featured', 'wordpress-plugin-search-block-wp' ),
+		beta: __( 'Beta Testing', 'wordpress-plugin-search-block-wp' ),
+		[ HIDDEN_GEMS ]: __(
+			'Hidden Gems',
+			'wordpress-plugin-search-block-wp'
+		),
+	};
+
+	return [ ...BROWSE_FEEDS, HIDDEN_GEMS ]
+		.filter( ( feed ) =>
+			allowedLists.every(
+				( allowed ) =>
+					! Array.isArray( allowed ) ||
+					allowed.length === 0 ||
+					allowed.includes( feed )
+			)
+		)
+		.map( ( feed ) => ( { value: feed, label: labels[ feed ] } ) );
+}
+
+/**
+ * Normalize a feed name to one of the given options.
+ *
+ * @param {string} feed    - Raw feed name
+ * @param {Array}  options - Options from getSortOptions()
+ * @return {string} The feed, or the first option when it isn't offered
+ */
+export function getBrowseFeed( feed, options ) {
+	return options.some( ( option ) => option.value === feed )
+		? feed
+		: options[ 0 ]?.value || 'popular';
+}
@@ -17,6 +17,48 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Exit if accessed directly.
 }
 
+/**
+ * Maximum number of 100-plugin upstream pages scanned for server-side filters
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_MAX_SCAN_PAGES' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_MAX_SCAN_PAGES', 10 );
+}
+
+/**
+ * Maximum number of cache keys tracked for listing and clearing
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_MAX_CACHE_INDEX' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_MAX_CACHE_INDEX', 1000 );
+}
+
+/**
+ * Maximum number of recently cached queries the Warm cache tool refetches
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_MAX_WARM_QUERIES' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_MAX_WARM_QUERIES', 20 );
+}
+
+/**
+ * How long expired cache entries are kept as a fallback for upstream outages
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_STALE_TTL' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_STALE_TTL', WEEK_IN_SECONDS );
+}
+
+/**
+ * Number of 100-plugin feed pages a secondary sort orders
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_SORT_PAGES' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_SORT_PAGES', 3 );
+}
+
+/**
+ * User meta key holding a logged-in visitor's shortlisted plugin slugs
+ */
+if ( ! defined( 'WORDPRESS_PLUGIN_SEARCH_SHORTLIST_META' ) ) {
+	define( 'WORDPRESS_PLUGIN_SEARCH_SHORTLIST_META', 'wordpress_plugin_search_shortlist' );
+}
+
 /**
  * Registers the block
  */
@@ -45,7 +87,8 @@ if ( ! function_exists( 'wordpress_plugin_search_register_api_endpoints' ) ) {
 				),
 				'browse' => array(
 					'type' => 'string',
-					'enum' => array( 'popular', 'new', 'updated', 'featured', 'beta' ),
+					// Every browse type, plus the Hidden Gems order built from one of them
+					'enum' => array( 'popular', 'new', 'updated', 'featured', 'beta', 'gems' ),
 					'default' => 'popular',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
@@ -72,223 +115,2779 @@ if ( ! function_exists( 'wordpress_plugin_search_register_api_endpoints' ) ) {
 					'type' => 'string',
 					'sanitize_callback' => 'sanitize_text_field',
 				),
+				'search' => array(
+					'type' => 'string',
+					'maxLength' => 200,
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+				'has_screenshots' => array(
+					'type' => 'boolean',
+					'default' => false,
+				),
+				// Versions a plugin's requirements must not exceed
+				'compatible_wp' => array(
+					'type' => 'string',
+					'maxLength' => 20,
+					'sanitize_callback' => 'wordpress_plugin_search_normalize_version',
+				),
+				'compatible_php' => array(
+					'type' => 'string',
+					'maxLength' => 20,
+					'sanitize_callback' => 'wordpress_plugin_search_normalize_version',
+				),
+				// Reorders the feed's leading plugins - empty keeps the feed order
+				'orderby' => array(
+					'type' => 'string',
+					'enum' => array_merge( array( '' ), wordpress_plugin_search_get_secondary_sorts() ),
+					'default' => '',
+				),
+				// Quality filters - 0 or empty means any
+				'min_rating' => array(
+					'type' => 'integer',
+					'minimum' => 0,
+					'maximum' => 5,
+					'default' => 0,
+					'description' => 'Minimum star rating.',
+				),
+				'min_installs' => array(
+					'type' => 'integer',
+					'minimum' => 0,
+					'default' => 0,
+					'description' => 'Minimum active installs.',
+				),
+				'updated_within' => array(
+					'type' => 'integer',
+					'minimum' => 0,
+					'maximum' => 120,
+					'default' => 0,
+					'description' => 'Months since the last update.',
+				),
+				'tested_wp' => array(
+					'type' => 'string',
+					'maxLength' => 20,
+					'description' => 'Lowest "Tested up to" WordPress version.',
+					'sanitize_callback' => 'wordpress_plugin_search_normalize_version',
+				),
+				// Hidden gem thresholds for browse=gems - missing ones follow the site settings
+				'gem_min_rating' => array(
+					'type' => 'integer',
+					'minimum' => 0,
+					'maximum' => 100,
+					'description' => 'Minimum rating as a percentage.',
+				),
+				'gem_max_installs' => array(
+					'type' => 'integer',
+					'minimum' => 0,
+					'description' => 'Active installs a hidden gem stays under.',
+				),
+				'gem_max_age' => array(
+					'type' => 'integer',
+					'minimum' => 1,
+					'description' => 'Days since the last update.',
+				),
+			),
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_api_endpoints' );
+}
+
+/**
+ * Register REST API endpoint for curated plugin lists
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_plugins_endpoint' ) ) {
+	function wordpress_plugin_search_register_plugins_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/plugins', array(
+			'methods' => 'GET',
+			'callback' => 'wordpress_plugin_search_api_plugins',
+			'permission_callback' => '__return_true',
+			'args' => array(
+				'slugs' => array(
+					'required' => true,
+					'type' => 'string',
+					'description' => 'Comma-separated plugin slugs, returned in the given order.',
+					'sanitize_callback' => 'sanitize_text_field',
+				),
+			),
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_plugins_endpoint' );
+}
+
+/**
+ * Register REST API endpoint for single plugin details
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_plugin_details_endpoint' ) ) {
+	function wordpress_plugin_search_register_plugin_details_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/plugin/(?P<slug>[a-z0-9-]+)', array(
+			'methods' => 'GET',
+			'callback' => 'wordpress_plugin_search_api_plugin_details',
+			'permission_callback' => '__return_true',
+			'args' => array(
+				'slug' => array(
+					'required' => true,
+					'type' => 'string',
+					'sanitize_callback' => 'sanitize_title',
+				),
+			),
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_plugin_details_endpoint' );
+}
+
+/**
+ * Register REST API endpoint for the current user's shortlist
+ *
+ * Anonymous visitors keep their shortlist in localStorage instead.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_shortlist_endpoint' ) ) {
+	function wordpress_plugin_search_register_shortlist_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/shortlist', array(
+			array(
+				'methods' => 'GET',
+				'callback' => 'wordpress_plugin_search_api_shortlist_get',
+				'permission_callback' => 'wordpress_plugin_search_can_shortlist',
+			),
+			array(
+				'methods' => WP_REST_Server::EDITABLE,
+				'callback' => 'wordpress_plugin_search_api_shortlist_update',
+				'permission_callback' => 'wordpress_plugin_search_can_shortlist',
+				'args' => array(
+					'slugs' => array(
+						'required' => true,
+						'type' => 'array',
+						'items' => array(
+							'type' => 'string',
+						),
+						'description' => 'Shortlisted plugin slugs, in the order they were added.',
+					),
+				),
+			),
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_shortlist_endpoint' );
+}
+
+
+/**
+ * Add test endpoint for debugging
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_test_endpoint' ) ) {
+	function wordpress_plugin_search_register_test_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/test', array(
+			'methods' => 'GET',
+			'callback' => function() {
+				return array(
+					'success' => true,
+					'message' => 'Plugin search API is working',
+					'timestamp' => current_time( 'mysql' ),
+					'plugins_api_available' => function_exists( 'plugins_api' )
+				);
+			},
+			'permission_callback' => '__return_true'
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_test_endpoint' );
+}
+
+/**
+ * Register admin-only cache management endpoints
+ *
+ * Requests are authenticated the usual REST way: cookie sessions must send the
+ * wp_rest nonce as X-WP-Nonce, otherwise WordPress treats them as logged out.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_cache_endpoint' ) ) {
+	function wordpress_plugin_search_register_cache_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/cache', array(
+			array(
+				'methods' => 'GET',
+				'callback' => 'wordpress_plugin_search_api_cache_list',
+				'permission_callback' => 'wordpress_plugin_search_can_manage',
+			),
+			array(
+				'methods' => 'DELETE',
+				'callback' => 'wordpress_plugin_search_api_cache_flush',
+				'permission_callback' => 'wordpress_plugin_search_can_manage',
+			),
+		) );
+
+		register_rest_route( 'wordpress-plugin-search/v1', '/cache/(?P<key>wps_[a-f0-9]{64})', array(
+			'methods' => 'DELETE',
+			'callback' => 'wordpress_plugin_search_api_cache_delete',
+			'permission_callback' => 'wordpress_plugin_search_can_manage',
+			'args' => array(
+				'key' => array(
+					'required' => true,
+					'type' => 'string',
+					'pattern' => '^wps_[a-f0-9]{64}$',
+				),
 			),
 		) );
 	}
-	add_action( 'rest_api_init', 'wordpress_plugin_search_register_api_endpoints' );
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_cache_endpoint' );
+}
+
+/**
+ * Only administrators may change settings or inspect and clear the cache
+ */
+if ( ! function_exists( 'wordpress_plugin_search_can_manage' ) ) {
+	function wordpress_plugin_search_can_manage() {
+		if ( current_user_can( 'manage_options' ) ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'rest_forbidden',
+			'Sorry, you are not allowed to manage plugin search.',
+			array( 'status' => rest_authorization_required_code() )
+		);
+	}
+}
+
+/**
+ * List cached entries
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_cache_list' ) ) {
+	function wordpress_plugin_search_api_cache_list() {
+		$entries = array();
+
+		foreach ( wordpress_plugin_search_get_cache_index() as $key => $entry ) {
+			// The backend may evict entries early, so check rather than assume
+			$cached = wordpress_plugin_search_cache_get_entry( $entry['params'] );
+
+			$entries[] = array(
+				'key' => $key,
+				'params' => $entry['params'],
+				'expires' => gmdate( 'c', $entry['expires'] ),
+				'cached' => false !== $cached,
+				'stale' => false !== $cached && $cached['stale'],
+			);
+		}
+
+		return rest_ensure_response( array(
+			'total' => count( $entries ),
+			'object_cache' => wp_using_ext_object_cache(),
+			'entries' => $entries,
+		) );
+	}
+}
+
+/**
+ * Clear every cached entry
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_cache_flush' ) ) {
+	function wordpress_plugin_search_api_cache_flush() {
+		$cleared = wordpress_plugin_search_cache_flush();
+
+		return rest_ensure_response( array(
+			'success' => true,
+			'cleared' => $cleared,
+		) );
+	}
+}
+
+/**
+ * Clear a single cached entry
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_cache_delete' ) ) {
+	function wordpress_plugin_search_api_cache_delete( $request ) {
+		$key = $request->get_param( 'key' );
+
+		if ( ! wordpress_plugin_search_cache_delete( $key ) ) {
+			return new WP_Error( 'cache_not_found', 'No cached entry with that key', array( 'status' => 404 ) );
+		}
+
+		return rest_ensure_response( array(
+			'success' => true,
+			'key' => $key,
+		) );
+	}
+}
+
+/**
+ * Browse types supported by the WordPress.org query API
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_browse_types' ) ) {
+	function wordpress_plugin_search_get_browse_types() {
+		return array( 'popular', 'new', 'updated', 'featured', 'beta' );
+	}
+}
+
+/**
+ * Browse type the Hidden Gems sort order scans - recently updated plugins are the likeliest to pass the age check
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_hidden_gems_feed' ) ) {
+	function wordpress_plugin_search_get_hidden_gems_feed() {
+		return 'updated';
+	}
+}
+
+/**
+ * Default site-wide settings
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_default_settings' ) ) {
+	function wordpress_plugin_search_get_default_settings() {
+		return array(
+			// Minutes each browse type stays cached
+			'cache_ttl' => array_fill_keys( wordpress_plugin_search_get_browse_types(), 60 ),
+			'max_results_per_page' => 100,
+			'allowed_browse' => wordpress_plugin_search_get_browse_types(),
+			'hidden_gems' => array(
+				'min_rating' => 80,
+				'max_installs' => 10000,
+				'max_age_days' => 365,
+			),
+			// Deepest results page the proxy will fetch
+			'max_page' => 50,
+			// Per-IP token bucket for the public proxy routes
+			'rate_limit' => array(
+				'enabled' => true,
+				'requests_per_minute' => 60,
+				'burst' => 30,
+			),
+			'debug_logging' => false,
+		);
+	}
+}
+
+/**
+ * Site-wide settings merged over the defaults
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_settings' ) ) {
+	function wordpress_plugin_search_get_settings() {
+		$saved = get_option( 'wordpress_plugin_search_settings', array() );
+
+		return wordpress_plugin_search_sanitize_settings( is_array( $saved ) ? $saved : array() );
+	}
+}
+
+/**
+ * Validate settings, filling anything missing or invalid from the defaults
+ */
+if ( ! function_exists( 'wordpress_plugin_search_sanitize_settings' ) ) {
+	function wordpress_plugin_search_sanitize_settings( $input ) {
+		$defaults = wordpress_plugin_search_get_default_settings();
+		$input = is_array( $input ) ? $input : array();
+		$settings = $defaults;
+
+		if ( isset( $input['cache_ttl'] ) && is_array( $input['cache_ttl'] ) ) {
+			foreach ( wordpress_plugin_search_get_browse_types() as $browse ) {
+				if ( isset( $input['cache_ttl'][ $browse ] ) ) {
+					// At least a minute, at most a week
+					$settings['cache_ttl'][ $browse ] = max( 1, min( 10080, absint( $input['cache_ttl'][ $browse ] ) ) );
+				}
+			}
+		}
+
+		if ( isset( $input['max_results_per_page'] ) ) {
+			$settings['max_results_per_page'] = max( 1, min( 100, absint( $input['max_results_per_page'] ) ) );
+		}
+
+		if ( isset( $input['allowed_browse'] ) && is_array( $input['allowed_browse'] ) ) {
+			$allowed = array_values( array_intersect( wordpress_plugin_search_get_browse_types(), $input['allowed_browse'] ) );
+
+			// Something has to stay browsable
+			$settings['allowed_browse'] = empty( $allowed ) ? array( 'popular' ) : $allowed;
+		}
+
+		if ( isset( $input['hidden_gems'] ) && is_array( $input['hidden_gems'] ) ) {
+			$gems = $input['hidden_gems'];
+			if ( isset( $gems['min_rating'] ) ) {
+				$settings['hidden_gems']['min_rating'] = min( 100, absint( $gems['min_rating'] ) );
+			}
+			if ( isset( $gems['max_installs'] ) ) {
+				$settings['hidden_gems']['max_installs'] = absint( $gems['max_installs'] );
+			}
+			if ( isset( $gems['max_age_days'] ) ) {
+				$settings['hidden_gems']['max_age_days'] = max( 1, absint( $gems['max_age_days'] ) );
+			}
+		}
+
+		if ( isset( $input['max_page'] ) ) {
+			$settings['max_page'] = max( 1, min( 1000, absint( $input['max_page'] ) ) );
+		}
+
+		if ( isset( $input['rate_limit'] ) && is_array( $input['rate_limit'] ) ) {
+			$limit = $input['rate_limit'];
+			if ( isset( $limit['enabled'] ) ) {
+				$settings['rate_limit']['enabled'] = rest_sanitize_boolean( $limit['enabled'] );
+			}
+			if ( isset( $limit['requests_per_minute'] ) ) {
+				$settings['rate_limit']['requests_per_minute'] = max( 1, min( 6000, absint( $limit['requests_per_minute'] ) ) );
+			}
+			if ( isset( $limit['burst'] ) ) {
+				$settings['rate_limit']['burst'] = max( 1, min( 1000, absint( $limit['burst'] ) ) );
+			}
+		}
+
+		if ( isset( $input['debug_logging'] ) ) {
+			$settings['debug_logging'] = rest_sanitize_boolean( $input['debug_logging'] );
+		}
+
+		return $settings;
+	}
+}
+
+/**
+ * Seconds a query for the given browse type stays cached
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_cache_ttl' ) ) {
+	function wordpress_plugin_search_get_cache_ttl( $browse ) {
+		$settings = wordpress_plugin_search_get_settings();
+		$minutes = isset( $settings['cache_ttl'][ $browse ] ) ? $settings['cache_ttl'][ $browse ] : 60;
+
+		return $minutes * MINUTE_IN_SECONDS;
+	}
+}
+
+/**
+ * Write a debug message when debug logging is switched on
+ */
+if ( ! function_exists( 'wordpress_plugin_search_log' ) ) {
+	function wordpress_plugin_search_log( $message ) {
+		$settings = wordpress_plugin_search_get_settings();
+
+		if ( $settings['debug_logging'] ) {
+			error_log( 'WordPress Plugin Search: ' . $message );
+		}
+	}
+}
+
+/**
+ * Register the settings option
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_settings' ) ) {
+	function wordpress_plugin_search_register_settings() {
+		register_setting( 'wordpress_plugin_search', 'wordpress_plugin_search_settings', array(
+			'type' => 'object',
+			'sanitize_callback' => 'wordpress_plugin_search_sanitize_settings',
+			'default' => wordpress_plugin_search_get_default_settings(),
+		) );
+	}
+	add_action( 'admin_init', 'wordpress_plugin_search_register_settings' );
+}
+
+/**
+ * Add the settings screen under Settings
+ */
+if ( ! function_exists( 'wordpress_plugin_search_add_settings_page' ) ) {
+	function wordpress_plugin_search_add_settings_page() {
+		add_options_page(
+			__( 'Plugin Search', 'wordpress-plugin-search-block-wp' ),
+			__( 'Plugin Search', 'wordpress-plugin-search-block-wp' ),
+			'manage_options',
+			'wordpress-plugin-search',
+			'wordpress_plugin_search_render_settings_page'
+		);
+	}
+	add_action( 'admin_menu', 'wordpress_plugin_search_add_settings_page' );
+}
+
+/**
+ * Render the settings screen
+ */
+if ( ! function_exists( 'wordpress_plugin_search_render_settings_page' ) ) {
+	function wordpress_plugin_search_render_settings_page() {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		$settings = wordpress_plugin_search_get_settings();
+		$option = 'wordpress_plugin_search_settings';
+		$browse_labels = array(
+			'popular' => __( 'Popular', 'wordpress-plugin-search-block-wp' ),
+			'new' => __( 'New', 'wordpress-plugin-search-block-wp' ),
+			'updated' => __( 'Recently updated', 'wordpress-plugin-search-block-wp' ),
+			'featured' => __( 'Featured', 'wordpress-plugin-search-block-wp' ),
+			'beta' => __( 'Beta', 'wordpress-plugin-search-block-wp' ),
+		);
+
+		// Result of a cache tool run, passed back through the redirect
+		$cache_notice = isset( $_GET['wps_cache'] ) ? sanitize_key( $_GET['wps_cache'] ) : '';
+		$cache_count = isset( $_GET['wps_count'] ) ? absint( $_GET['wps_count'] ) : 0;
+		?>
+		<div class="wrap">
+			<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+
+			<?php if ( 'warmed' === $cache_notice ) : ?>
+				<div class="notice notice-success is-dismissible">
+					<?php /* translators: %d: number of cached queries */ ?>
+					<p><?php echo esc_html( sprintf( _n( 'Warmed %d cached query.', 'Warmed %d cached queries.', $cache_count, 'wordpress-plugin-search-block-wp' ), $cache_count ) ); ?></p>
+				</div>
+			<?php elseif ( 'cleared' === $cache_notice ) : ?>
+				<div class="notice notice-success is-dismissible">
+					<p><?php echo esc_html__( 'Plugin search cache cleared.', 'wordpress-plugin-search-block-wp' ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<form method="post" action="options.php">
+				<?php settings_fields( 'wordpress_plugin_search' ); ?>
+
+				<h2><?php echo esc_html__( 'Caching', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<table class="form-table" role="presentation">
+					<?php foreach ( $browse_labels as $browse => $label ) : ?>
+						<tr>
+							<?php /* translators: %s: browse type label */ ?>
+							<th scope="row"><label for="wps-ttl-<?php echo esc_attr( $browse ); ?>"><?php echo esc_html( sprintf( __( '%s cache lifetime', 'wordpress-plugin-search-block-wp' ), $label ) ); ?></label></th>
+							<td>
+								<input type="number" min="1" max="10080" class="small-text" id="wps-ttl-<?php echo esc_attr( $browse ); ?>" name="<?php echo esc_attr( $option ); ?>[cache_ttl][<?php echo esc_attr( $browse ); ?>]" value="<?php echo esc_attr( $settings['cache_ttl'][ $browse ] ); ?>" />
+								<?php echo esc_html__( 'minutes', 'wordpress-plugin-search-block-wp' ); ?>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</table>
+
+				<h2><?php echo esc_html__( 'Block defaults', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="wps-max-results"><?php echo esc_html__( 'Results per page cap', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="1" max="100" class="small-text" id="wps-max-results" name="<?php echo esc_attr( $option ); ?>[max_results_per_page]" value="<?php echo esc_attr( $settings['max_results_per_page'] ); ?>" />
+							<p class="description"><?php echo esc_html__( 'Blocks never show more plugins per page than this.', 'wordpress-plugin-search-block-wp' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php echo esc_html__( 'Allowed browse types', 'wordpress-plugin-search-block-wp' ); ?></th>
+						<td>
+							<fieldset>
+								<?php // Submitted even with every box unticked, so the choice is saved ?>
+								<input type="hidden" name="<?php echo esc_attr( $option ); ?>[allowed_browse][]" value="" />
+								<?php foreach ( $browse_labels as $browse => $label ) : ?>
+									<label>
+										<input type="checkbox" name="<?php echo esc_attr( $option ); ?>[allowed_browse][]" value="<?php echo esc_attr( $browse ); ?>" <?php checked( in_array( $browse, $settings['allowed_browse'], true ) ); ?> />
+										<?php echo esc_html( $label ); ?>
+									</label><br />
+								<?php endforeach; ?>
+							</fieldset>
+						</td>
+					</tr>
+				</table>
+
+				<h2><?php echo esc_html__( 'Hidden gems', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><label for="wps-gem-rating"><?php echo esc_html__( 'Minimum rating', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="0" max="100" class="small-text" id="wps-gem-rating" name="<?php echo esc_attr( $option ); ?>[hidden_gems][min_rating]" value="<?php echo esc_attr( $settings['hidden_gems']['min_rating'] ); ?>" />
+							<p class="description"><?php echo esc_html__( 'Out of 100 - 80 is four stars.', 'wordpress-plugin-search-block-wp' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="wps-gem-installs"><?php echo esc_html__( 'Fewer active installs than', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="0" class="regular-text" id="wps-gem-installs" name="<?php echo esc_attr( $option ); ?>[hidden_gems][max_installs]" value="<?php echo esc_attr( $settings['hidden_gems']['max_installs'] ); ?>" />
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="wps-gem-age"><?php echo esc_html__( 'Updated within', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="1" class="small-text" id="wps-gem-age" name="<?php echo esc_attr( $option ); ?>[hidden_gems][max_age_days]" value="<?php echo esc_attr( $settings['hidden_gems']['max_age_days'] ); ?>" />
+							<?php echo esc_html__( 'days', 'wordpress-plugin-search-block-wp' ); ?>
+						</td>
+					</tr>
+				</table>
+
+				<h2><?php echo esc_html__( 'Abuse protection', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><?php echo esc_html__( 'Rate limiting', 'wordpress-plugin-search-block-wp' ); ?></th>
+						<td>
+							<label>
+								<input type="hidden" name="<?php echo esc_attr( $option ); ?>[rate_limit][enabled]" value="0" />
+								<input type="checkbox" name="<?php echo esc_attr( $option ); ?>[rate_limit][enabled]" value="1" <?php checked( $settings['rate_limit']['enabled'] ); ?> />
+								<?php echo esc_html__( 'Limit how often each visitor can query the plugin directory', 'wordpress-plugin-search-block-wp' ); ?>
+							</label>
+							<p class="description"><?php echo esc_html__( 'Logged-in users who can edit posts are never limited.', 'wordpress-plugin-search-block-wp' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="wps-rate-limit"><?php echo esc_html__( 'Sustained rate', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="1" max="6000" class="small-text" id="wps-rate-limit" name="<?php echo esc_attr( $option ); ?>[rate_limit][requests_per_minute]" value="<?php echo esc_attr( $settings['rate_limit']['requests_per_minute'] ); ?>" />
+							<?php echo esc_html__( 'requests per minute per IP address', 'wordpress-plugin-search-block-wp' ); ?>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="wps-rate-burst"><?php echo esc_html__( 'Burst allowance', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="1" max="1000" class="small-text" id="wps-rate-burst" name="<?php echo esc_attr( $option ); ?>[rate_limit][burst]" value="<?php echo esc_attr( $settings['rate_limit']['burst'] ); ?>" />
+							<?php echo esc_html__( 'requests', 'wordpress-plugin-search-block-wp' ); ?>
+							<p class="description"><?php echo esc_html__( 'How many requests a visitor can make back to back before the sustained rate applies.', 'wordpress-plugin-search-block-wp' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="wps-max-page"><?php echo esc_html__( 'Deepest results page', 'wordpress-plugin-search-block-wp' ); ?></label></th>
+						<td>
+							<input type="number" min="1" max="1000" class="small-text" id="wps-max-page" name="<?php echo esc_attr( $option ); ?>[max_page]" value="<?php echo esc_attr( $settings['max_page'] ); ?>" />
+							<p class="description"><?php echo esc_html__( 'Requests for later pages are refused, so they can\'t be used to bypass the cache.', 'wordpress-plugin-search-block-wp' ); ?></p>
+						</td>
+					</tr>
+				</table>
+
+				<h2><?php echo esc_html__( 'Debugging', 'wordpress-plugin-search-block-wp' ); ?></h2>
+				<table class="form-table" role="presentation">
+					<tr>
+						<th scope="row"><?php echo esc_html__( 'Debug logging', 'wordpress-plugin-search-block-wp' ); ?></th>
+						<td>
+							<label>
+								<input type="hidden" name="<?php echo esc_attr( $option ); ?>[debug_logging]" value="0" />
+								<input type="checkbox" name="<?php echo esc_attr( $option ); ?>[debug_logging]" value="1" <?php checked( $settings['debug_logging'] ); ?> />
+								<?php echo esc_html__( 'Write cache and API activity to the PHP error log', 'wordpress-plugin-search-block-wp' ); ?>
+							</label>
+						</td>
+					</tr>
+				</table>
+
+				<?php submit_button(); ?>
+			</form>
+
+			<h2><?php echo esc_html__( 'Cache tools', 'wordpress-plugin-search-block-wp' ); ?></h2>
+			<p><?php echo esc_html__( 'Warming refetches the first page of every allowed browse type and the most recently cached queries.', 'wordpress-plugin-search-block-wp' ); ?></p>
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline-block; margin-right: 8px;">
+				<input type="hidden" name="action" value="wordpress_plugin_search_warm_cache" />
+				<?php wp_nonce_field( 'wordpress_plugin_search_warm_cache' ); ?>
+				<?php submit_button( __( 'Warm cache', 'wordpress-plugin-search-block-wp' ), 'secondary', 'submit', false ); ?>
+			</form>
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" style="display: inline-block;">
+				<input type="hidden" name="action" value="wordpress_plugin_search_clear_cache" />
+				<?php wp_nonce_field( 'wordpress_plugin_search_clear_cache' ); ?>
+				<?php submit_button( __( 'Clear cache', 'wordpress-plugin-search-block-wp' ), 'delete', 'submit', false ); ?>
+			</form>
+		</div>
+		<?php
+	}
+}
+
+/**
+ * Handle the cache tool buttons on the settings screen
+ */
+if ( ! function_exists( 'wordpress_plugin_search_handle_cache_tool' ) ) {
+	function wordpress_plugin_search_handle_cache_tool() {
+		$tool = isset( $_POST['action'] ) && 'wordpress_plugin_search_warm_cache' === $_POST['action'] ? 'warm' : 'clear';
+
+		check_admin_referer( 'wordpress_plugin_search_' . $tool . '_cache' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to manage the plugin search cache.', 'wordpress-plugin-search-block-wp' ), 403 );
+		}
+
+		if ( 'warm' === $tool ) {
+			$count = wordpress_plugin_search_warm_cache();
+			$notice = 'warmed';
+		} else {
+			$count = wordpress_plugin_search_cache_flush();
+			$notice = 'cleared';
+		}
+
+		wp_safe_redirect( add_query_arg(
+			array(
+				'page' => 'wordpress-plugin-search',
+				'wps_cache' => $notice,
+				'wps_count' => $count,
+			),
+			admin_url( 'options-general.php' )
+		) );
+		exit;
+	}
+	add_action( 'admin_post_wordpress_plugin_search_warm_cache', 'wordpress_plugin_search_handle_cache_tool' );
+	add_action( 'admin_post_wordpress_plugin_search_clear_cache', 'wordpress_plugin_search_handle_cache_tool' );
+}
+
+/**
+ * Refetch the default browse pages and the most recently cached queries
+ *
+ * Runs while the admin waits, so only the newest
+ * WORDPRESS_PLUGIN_SEARCH_MAX_WARM_QUERIES indexed queries are included.
+ *
+ * Returns the number of queries fetched successfully.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_warm_cache' ) ) {
+	function wordpress_plugin_search_warm_cache() {
+		$queries = wordpress_plugin_search_get_default_queries( wordpress_plugin_search_get_settings()['allowed_browse'] );
+
+		// Queries visitors have already run - only query_plugins entries carry a browse type
+		$recent = array_filter( wordpress_plugin_search_get_cache_index(), function( $entry ) {
+			return isset( $entry['params']['browse'] );
+		} );
+
+		// The index is oldest first
+		foreach ( array_slice( $recent, -WORDPRESS_PLUGIN_SEARCH_MAX_WARM_QUERIES, null, true ) as $key => $entry ) {
+			$queries[ $key ] = $entry['params'];
+		}
+
+		$warmed = 0;
+		foreach ( $queries as $api_args ) {
+			$response = wordpress_plugin_search_fetch_plugins( $api_args, true );
+
+			// A stale fallback means WordPress.org didn't answer
+			if ( ! is_wp_error( $response ) && empty( $response['stale'] ) ) {
+				$warmed++;
+			}
+		}
+
+		return $warmed;
+	}
+}
+
+/**
+ * First page of each browse type at the block's default size, keyed by cache key
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_default_queries' ) ) {
+	function wordpress_plugin_search_get_default_queries( $browse_types ) {
+		$queries = array();
+
+		foreach ( $browse_types as $browse ) {
+			$api_args = wordpress_plugin_search_build_query_args( array(
+				'browse' => $browse,
+				'per_page' => 12,
+				'page' => 1,
+			) );
+			$queries[ wordpress_plugin_search_cache_key( $api_args ) ] = $api_args;
+		}
+
+		return $queries;
+	}
+}
+
+/**
+ * Hourly WP-Cron job keeping the busiest browse pages warm
+ *
+ * Only pages that are missing or past their TTL are fetched, so a short
+ * cache TTL in the settings doesn't turn this into a request every hour.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_prewarm_cache' ) ) {
+	function wordpress_plugin_search_prewarm_cache() {
+		$browse_types = array_intersect(
+			array( 'popular', 'new', 'updated' ),
+			wordpress_plugin_search_get_settings()['allowed_browse']
+		);
+
+		foreach ( wordpress_plugin_search_get_default_queries( $browse_types ) as $api_args ) {
+			$cached = wordpress_plugin_search_cache_get_entry( $api_args );
+			if ( false === $cached || $cached['stale'] ) {
+				wordpress_plugin_search_fetch_plugins( $api_args, true );
+			}
+		}
+	}
+	add_action( 'wordpress_plugin_search_prewarm_cache', 'wordpress_plugin_search_prewarm_cache' );
+}
+
+/**
+ * Schedule the prewarm job
+ */
+if ( ! function_exists( 'wordpress_plugin_search_schedule_prewarm' ) ) {
+	function wordpress_plugin_search_schedule_prewarm() {
+		if ( ! wp_next_scheduled( 'wordpress_plugin_search_prewarm_cache' ) ) {
+			wp_schedule_event( time(), 'hourly', 'wordpress_plugin_search_prewarm_cache' );
+		}
+	}
+	add_action( 'init', 'wordpress_plugin_search_schedule_prewarm' );
+}
+
+/**
+ * Remove scheduled jobs when the plugin is deactivated
+ */
+if ( ! function_exists( 'wordpress_plugin_search_deactivate' ) ) {
+	function wordpress_plugin_search_deactivate() {
+		wp_clear_scheduled_hook( 'wordpress_plugin_search_prewarm_cache' );
+		wp_unschedule_hook( 'wordpress_plugin_search_refresh_query' );
+	}
+	register_deactivation_hook( __FILE__, 'wordpress_plugin_search_deactivate' );
+}
+
+/**
+ * Register REST API endpoint for site-wide settings
+ */
+if ( ! function_exists( 'wordpress_plugin_search_register_settings_endpoint' ) ) {
+	function wordpress_plugin_search_register_settings_endpoint() {
+		register_rest_route( 'wordpress-plugin-search/v1', '/settings', array(
+			array(
+				'methods' => 'GET',
+				'callback' => 'wordpress_plugin_search_api_get_settings',
+				// Anyone who can add the block may read the defaults it works with
+				'permission_callback' => function() {
+					return current_user_can( 'edit_posts' );
+				},
+			),
+			array(
+				'methods' => 'POST',
+				'callback' => 'wordpress_plugin_search_api_update_settings',
+				'permission_callback' => 'wordpress_plugin_search_can_manage',
+			),
+		) );
+	}
+	add_action( 'rest_api_init', 'wordpress_plugin_search_register_settings_endpoint' );
+}
+
+/**
+ * Return the site-wide settings
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_get_settings' ) ) {
+	function wordpress_plugin_search_api_get_settings() {
+		return rest_ensure_response( wordpress_plugin_search_get_settings() );
+	}
+}
+
+/**
+ * Update the site-wide settings from a partial payload
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_update_settings' ) ) {
+	function wordpress_plugin_search_api_update_settings( $request ) {
+		$changes = (array) $request->get_json_params();
+		$settings = array_replace_recursive( wordpress_plugin_search_get_settings(), $changes );
+
+		// Lists replace rather than merge by index
+		if ( isset( $changes['allowed_browse'] ) ) {
+			$settings['allowed_browse'] = $changes['allowed_browse'];
+		}
+
+		$settings = wordpress_plugin_search_sanitize_settings( $settings );
+
+		update_option( 'wordpress_plugin_search_settings', $settings );
+
+		return rest_ensure_response( $settings );
+	}
+}
+
+/**
+ * Handle API queries
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_query' ) ) {
+	function wordpress_plugin_search_api_query( $request ) {
+		// Include admin functions
+		if ( ! function_exists( 'plugins_api' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+		}
+		
+		$action = sanitize_text_field( $request->get_param( 'action' ) );
+		
+		if ( 'query_plugins' !== $action ) {
+			return new WP_Error( 'invalid_action', 'Invalid action', array( 'status' => 400 ) );
+		}
+		
+		$limited = wordpress_plugin_search_rate_limit();
+		if ( $limited ) {
+			return $limited;
+		}
+
+		$max_page = wordpress_plugin_search_get_settings()['max_page'];
+		if ( (int) $request->get_param( 'page' ) > $max_page ) {
+			return new WP_Error(
+				'page_out_of_range',
+				sprintf( 'Results are only available up to page %d.', $max_page ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$api_args = wordpress_plugin_search_build_query_args( $request->get_params() );
+
+		// Filters WordPress.org can't apply run here so every page comes back full
+		$filter = wordpress_plugin_search_get_query_filter( $request->get_params() );
+
+		$orderby = (string) $request->get_param( 'orderby' );
+
+		if ( in_array( $orderby, wordpress_plugin_search_get_secondary_sorts(), true ) ) {
+			$response = wordpress_plugin_search_sort_plugins( $api_args, $orderby, $filter );
+
+			// Sorted pages are built from the feed's 100-plugin scan pages too
+			$source_params = $api_args;
+			$source_params['per_page'] = 100;
+			$source_params['page'] = 1;
+		} elseif ( $filter ) {
+			$response = wordpress_plugin_search_filter_plugins( $api_args, $filter );
+
+			// Filtered pages are built from the feed's 100-plugin scan pages
+			$source_params = $api_args;
+			$source_params['per_page'] = 100;
+			$source_params['page'] = 1;
+		} else {
+			$response = wordpress_plugin_search_fetch_plugins( $api_args );
+			$source_params = $api_args;
+		}
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$response = wordpress_plugin_search_cap_pages( $response );
+
+		return wordpress_plugin_search_conditional_response(
+			$request,
+			$response,
+			wordpress_plugin_search_cache_get_entry( $source_params )
+		);
+	}
+}
+
+/**
+ * Limit a query response's page count to the deepest page the proxy serves
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cap_pages' ) ) {
+	function wordpress_plugin_search_cap_pages( $response ) {
+		if ( is_wp_error( $response ) || ! isset( $response['info']['pages'] ) ) {
+			return $response;
+		}
+
+		$response['info']['pages'] = min( (int) $response['info']['pages'], wordpress_plugin_search_get_settings()['max_page'] );
+
+		return $response;
+	}
+}
+
+/**
+ * Spend a token from the client's rate limit bucket
+ *
+ * Each IP address gets a bucket of `burst` tokens that refills at the
+ * configured rate. Returns null when the request may go ahead, or a 429
+ * response with Retry-After once the bucket is empty.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_rate_limit' ) ) {
+	function wordpress_plugin_search_rate_limit() {
+		$limits = wordpress_plugin_search_get_settings()['rate_limit'];
+
+		// Editors previewing the block shouldn't trip over the public limits
+		if ( ! $limits['enabled'] || current_user_can( 'edit_posts' ) ) {
+			return null;
+		}
+
+		$retry_after = wordpress_plugin_search_rate_limit_take(
+			'wps_rl_' . md5( wordpress_plugin_search_get_client_ip() ),
+			(int) ceil( MINUTE_IN_SECONDS * 1000 / $limits['requests_per_minute'] ),
+			$limits['burst']
+		);
+
+		if ( $retry_after > 0 ) {
+			$response = rest_convert_error_to_response( new WP_Error(
+				'rate_limited',
+				'Too many requests. Please slow down and try again shortly.',
+				array( 'status' => 429, 'retry_after' => $retry_after )
+			) );
+			$response->header( 'Retry-After', (string) $retry_after );
+
+			return $response;
+		}
+
+		return null;
+	}
+}
+
+/**
+ * Take a token from one bucket, returning 0 or the seconds until one is free
+ *
+ * The bucket is a single number per IP address: the time in milliseconds at
+ * which it will be full again. Each request moves it on by one interval, and
+ * is refused when that would put it more than `burst` intervals ahead of now.
+ * Both backends update it atomically, so concurrent requests can't spend the
+ * same token. Two requests that both create a bucket can miss each other,
+ * and a bucket that expires while in use starts full again, so the hour-long
+ * expiry allows at most one extra burst an hour.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_rate_limit_take' ) ) {
+	function wordpress_plugin_search_rate_limit_take( $key, $interval, $burst ) {
+		$now = (int) round( microtime( true ) * 1000 );
+		$limit = $now + $burst * $interval;
+
+		if ( wp_using_ext_object_cache() ) {
+			if ( wp_cache_add( $key, $now + $interval, 'wordpress_plugin_search', HOUR_IN_SECONDS ) ) {
+				return 0;
+			}
+
+			$full_at = wp_cache_incr( $key, $interval, 'wordpress_plugin_search' );
+
+			// Evicted after add() failed, or refilled since the last request
+			if ( false === $full_at || $full_at - $interval < $now ) {
+				wp_cache_set( $key, $now + $interval, 'wordpress_plugin_search', HOUR_IN_SECONDS );
+				return 0;
+			}
+
+			if ( $full_at <= $limit ) {
+				return 0;
+			}
+
+			// Refused requests don't spend a token
+			wp_cache_decr( $key, $interval, 'wordpress_plugin_search' );
+
+			return max( 1, (int) ceil( ( $full_at - $limit ) / 1000 ) );
+		}
+
+		global $wpdb;
+
+		$option = '_transient_' . $key;
+		$taken = $wpdb->query( $wpdb->prepare(
+			"UPDATE {$wpdb->options}
+			SET option_value = GREATEST( CAST( option_value AS UNSIGNED ), %d ) + %d
+			WHERE option_name = %s AND GREATEST( CAST( option_value AS UNSIGNED ), %d ) + %d <= %d",
+			$now,
+			$interval,
+			$option,
+			$now,
+			$interval,
+			$limit
+		) );
+
+		if ( $taken ) {
+			return 0;
+		}
+
+		$full_at = $wpdb->get_var( $wpdb->prepare(
+			"SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+			$option
+		) );
+
+		if ( null === $full_at ) {
+			// Core's daily cleanup removes buckets idle for an hour
+			set_transient( $key, $now + $interval, HOUR_IN_SECONDS );
+			return 0;
+		}
+
+		return max( 1, (int) ceil( ( max( (int) $full_at, $now ) + $interval - $limit ) / 1000 ) );
+	}
+}
+
+/**
+ * IP address the rate limit is keyed on
+ *
+ * Forwarding headers are trivially spoofed, so only REMOTE_ADDR is trusted.
+ * Sites behind a reverse proxy can resolve the real address with the
+ * `wordpress_plugin_search_client_ip` filter.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_client_ip' ) ) {
+	function wordpress_plugin_search_get_client_ip() {
+		$ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+		return (string) apply_filters( 'wordpress_plugin_search_client_ip', $ip );
+	}
+}
+
+/**
+ * Wrap public query data with HTTP caching headers, answering 304 when the client's copy matches
+ *
+ * The ETag hashes the payload itself, while Last-Modified and max-age come
+ * from the cache entry it was served from, so browsers and proxies such as
+ * Cloudflare or Varnish expire their copies when the transient does.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_conditional_response' ) ) {
+	function wordpress_plugin_search_conditional_response( $request, $data, $cached ) {
+		$etag = '"' . md5( wp_json_encode( $data ) ) . '"';
+		$now = time();
+
+		if ( $cached ) {
+			$modified = min( $now, $cached['cached_at'] );
+			$max_age = max( 0, $cached['fresh_until'] - $now );
+		} else {
+			// Nothing was cached, e.g. the backend evicted the entry straight away
+			$modified = $now;
+			$max_age = 0;
+		}
+
+		$headers = array(
+			'ETag' => $etag,
+			'Last-Modified' => gmdate( 'D, d M Y H:i:s', $modified ) . ' GMT',
+			// Fallback data is only served because WordPress.org is failing - don't let it linger downstream
+			'Cache-Control' => empty( $data['stale'] )
+				? sprintf( 'public, max-age=%d, stale-if-error=%d', $max_age, WORDPRESS_PLUGIN_SEARCH_STALE_TTL )
+				: 'public, max-age=0, must-revalidate',
+		);
+
+		if ( wordpress_plugin_search_etag_matches( $request->get_header( 'if_none_match' ), $etag ) ) {
+			return new WP_REST_Response( null, 304, $headers );
+		}
+
+		return new WP_REST_Response( $data, 200, $headers );
+	}
+}
+
+/**
+ * Whether an If-None-Match header covers an ETag
+ *
+ * Proxies often weaken ETags when they compress a response, so the weak
+ * comparison from RFC 9110 is used.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_etag_matches' ) ) {
+	function wordpress_plugin_search_etag_matches( $if_none_match, $etag ) {
+		if ( empty( $if_none_match ) ) {
+			return false;
+		}
+
+		foreach ( explode( ',', $if_none_match ) as $candidate ) {
+			$candidate = trim( $candidate );
+
+			if ( '*' === $candidate ) {
+				return true;
+			}
+
+			if ( 0 === strpos( $candidate, 'W/' ) ) {
+				$candidate = substr( $candidate, 2 );
+			}
+
+			if ( $candidate === $etag ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+}
+
+/**
+ * Page sizes the proxy fetches, capped by the settings
+ *
+ * The editor's Results per page choices, plus the 100-plugin pages used for
+ * filtering and sorting.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_page_sizes' ) ) {
+	function wordpress_plugin_search_get_page_sizes() {
+		$max = wordpress_plugin_search_get_settings()['max_results_per_page'];
+
+		return array_values( array_unique( array_map( function( $size ) use ( $max ) {
+			return min( $size, $max );
+		}, array( 12, 24, 48, 100 ) ) ) );
+	}
+}
+
+/**
+ * Build query_plugins arguments from request-style parameters
+ *
+ * Shared by the REST route and the server-rendered first page, so both end up
+ * with identical arguments and therefore the same cache entry.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_build_query_args' ) ) {
+	function wordpress_plugin_search_build_query_args( $params ) {
+		$api_args = array();
+
+		$settings = wordpress_plugin_search_get_settings();
+
+		// Handle browse parameter - types switched off in the settings fall back to the first allowed one
+		$browse = isset( $params['browse'] ) ? $params['browse'] : '';
+		if ( 'gems' === $browse ) {
+			// Hidden gems are picked out of this feed by wordpress_plugin_search_get_query_filter()
+			$browse = wordpress_plugin_search_get_hidden_gems_feed();
+		}
+		if ( $browse && in_array( $browse, $settings['allowed_browse'], true ) ) {
+			$api_args['browse'] = $browse;
+		} elseif ( in_array( 'popular', $settings['allowed_browse'], true ) ) {
+			$api_args['browse'] = 'popular'; // Default to popular plugins
+		} else {
+			$api_args['browse'] = $settings['allowed_browse'][0];
+		}
+
+		// Handle per_page parameter, snapped to a page size so any value shares a cache entry
+		if ( ! empty( $params['per_page'] ) ) {
+			$per_page = absint( $params['per_page'] );
+			if ( $per_page > 0 && $per_page <= 100 ) {
+				$sizes = wordpress_plugin_search_get_page_sizes();
+				$api_args['per_page'] = end( $sizes );
+				foreach ( $sizes as $size ) {
+					if ( $size >= $per_page ) {
+						$api_args['per_page'] = $size;
+						break;
+					}
+				}
+			}
+		}
+
+		// Handle page parameter
+		if ( ! empty( $params['page'] ) ) {
+			$page = absint( $params['page'] );
+			if ( $page > 0 ) {
+				$api_args['page'] = $page;
+			}
+		}
+
+		// Handle additional parameters for better search
+		foreach ( array( 'author', 'user', 'tag' ) as $filter_key ) {
+			if ( ! empty( $params[ $filter_key ] ) ) {
+				$api_args[ $filter_key ] = sanitize_text_field( $params[ $filter_key ] );
+			}
+		}
+
+		// Handle keyword search - normalized so "SEO" and " seo " share a cache entry
+		$search = isset( $params['search'] ) ? trim( sanitize_text_field( (string) $params['search'] ) ) : '';
+		if ( '' !== $search ) {
+			$api_args['search'] = mb_strtolower( $search );
+		}
+
+		return $api_args;
+	}
+}
+
+/**
+ * Build the transient key for a set of cache parameters
+ *
+ * The cache version is part of every key, so bumping it orphans all
+ * existing entries even when the backend can't enumerate them.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_key' ) ) {
+	function wordpress_plugin_search_cache_key( $params ) {
+		$version = (int) get_option( 'wordpress_plugin_search_cache_version', 1 );
+
+		return 'wps_' . hash( 'sha256', wp_json_encode( array( $version, $params ) ) );
+	}
+}
+
+/**
+ * Read a cached value, false when missing or expired
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_get' ) ) {
+	function wordpress_plugin_search_cache_get( $params ) {
+		$entry = wordpress_plugin_search_cache_get_entry( $params );
+
+		return $entry && ! $entry['stale'] ? $entry['value'] : false;
+	}
+}
+
+/**
+ * Read a cache entry even after it has expired, false when missing
+ *
+ * Entries outlive their TTL by WORDPRESS_PLUGIN_SEARCH_STALE_TTL so expired
+ * data can still be served while it is refreshed, or when WordPress.org is
+ * unreachable. The returned array holds the value, whether it is stale and
+ * whether the last refresh attempt failed.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_get_entry' ) ) {
+	function wordpress_plugin_search_cache_get_entry( $params ) {
+		$entry = get_transient( wordpress_plugin_search_cache_key( $params ) );
+
+		// Anything else predates the envelope format and is treated as a miss
+		if ( ! is_array( $entry ) || ! array_key_exists( 'value', $entry ) || ! isset( $entry['fresh_until'] ) ) {
+			return false;
+		}
+
+		return array(
+			'value' => $entry['value'],
+			'cached_at' => isset( $entry['cached_at'] ) ? (int) $entry['cached_at'] : time(),
+			'fresh_until' => (int) $entry['fresh_until'],
+			'stale' => (int) $entry['fresh_until'] <= time(),
+			'failed' => ! empty( $entry['failed'] ),
+		);
+	}
+}
+
+/**
+ * Store a value and record its key in the cache index
+ *
+ * Transients live in the object cache rather than wp_options when a
+ * persistent backend is installed, so the index is the only reliable way to
+ * list or clear them.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_set' ) ) {
+	function wordpress_plugin_search_cache_set( $params, $value, $expiration, $indexed = true ) {
+		$key = wordpress_plugin_search_cache_key( $params );
+		$lifetime = $expiration + WORDPRESS_PLUGIN_SEARCH_STALE_TTL;
+
+		// set_transient() reports false for an unchanged value, so don't bail on it
+		set_transient( $key, array(
+			'value' => $value,
+			'cached_at' => time(),
+			'fresh_until' => time() + $expiration,
+			'failed' => false,
+		), $lifetime );
+
+		if ( ! $indexed ) {
+			return;
+		}
+
+		// Queued rather than saved, so a request caching many pages writes the index once
+		$queue = &wordpress_plugin_search_cache_index_queue();
+		unset( $queue[ $key ] );
+		$queue[ $key ] = array(
+			'params' => $params,
+			'expires' => time() + $lifetime,
+		);
+	}
+}
+
+/**
+ * Index entries cached during this request and not saved yet
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_index_queue' ) ) {
+	function &wordpress_plugin_search_cache_index_queue() {
+		static $queue = array();
+
+		return $queue;
+	}
+}
+
+/**
+ * Save the queued index entries in a single write at the end of the request
+ *
+ * Concurrent requests can still overwrite each other's additions. A lost
+ * entry stays cached; it just isn't listed or warmed until it is stored again.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_save_cache_index' ) ) {
+	function wordpress_plugin_search_save_cache_index() {
+		$queue = &wordpress_plugin_search_cache_index_queue();
+		if ( empty( $queue ) ) {
+			return;
+		}
+
+		$index = wordpress_plugin_search_get_cache_index();
+		foreach ( $queue as $key => $entry ) {
+			unset( $index[ $key ] );
+			$index[ $key ] = $entry;
+		}
+		$queue = array();
+
+		// Keep the index bounded - the oldest entries are dropped first
+		if ( count( $index ) > WORDPRESS_PLUGIN_SEARCH_MAX_CACHE_INDEX ) {
+			$index = array_slice( $index, -WORDPRESS_PLUGIN_SEARCH_MAX_CACHE_INDEX, null, true );
+		}
+
+		update_option( 'wordpress_plugin_search_cache_index', $index, false );
+	}
+	add_action( 'shutdown', 'wordpress_plugin_search_save_cache_index' );
+}
+
+/**
+ * Flag a stale entry whose refresh failed, keeping it until it ages out
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_mark_failed' ) ) {
+	function wordpress_plugin_search_cache_mark_failed( $params ) {
+		$entry = wordpress_plugin_search_cache_get_entry( $params );
+		if ( ! $entry || $entry['failed'] ) {
+			return;
+		}
+
+		$remaining = $entry['fresh_until'] + WORDPRESS_PLUGIN_SEARCH_STALE_TTL - time();
+		if ( $remaining <= 0 ) {
+			return;
+		}
+
+		set_transient( wordpress_plugin_search_cache_key( $params ), array(
+			'value' => $entry['value'],
+			'cached_at' => $entry['cached_at'],
+			'fresh_until' => $entry['fresh_until'],
+			'failed' => true,
+		), $remaining );
+	}
+}
+
+/**
+ * Indexed cache entries that have not aged out yet, keyed by transient key
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_cache_index' ) ) {
+	function wordpress_plugin_search_get_cache_index() {
+		$index = get_option( 'wordpress_plugin_search_cache_index', array() );
+		if ( ! is_array( $index ) ) {
+			return array();
+		}
+
+		$now = time();
+
+		return array_filter( $index, function( $entry ) use ( $now ) {
+			return is_array( $entry ) && isset( $entry['expires'] ) && $entry['expires'] > $now;
+		} );
+	}
+}
+
+/**
+ * Delete one cached entry by transient key
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_delete' ) ) {
+	function wordpress_plugin_search_cache_delete( $key ) {
+		$index = wordpress_plugin_search_get_cache_index();
+		$indexed = isset( $index[ $key ] );
+
+		$deleted = delete_transient( $key );
+
+		$queue = &wordpress_plugin_search_cache_index_queue();
+		unset( $queue[ $key ] );
+
+		if ( $indexed ) {
+			unset( $index[ $key ] );
+			update_option( 'wordpress_plugin_search_cache_index', $index, false );
+		}
+
+		return $deleted || $indexed;
+	}
+}
+
+/**
+ * Delete every cached entry, returning how many indexed entries were cleared
+ */
+if ( ! function_exists( 'wordpress_plugin_search_cache_flush' ) ) {
+	function wordpress_plugin_search_cache_flush() {
+		$index = wordpress_plugin_search_get_cache_index();
+
+		foreach ( array_keys( $index ) as $key ) {
+			delete_transient( $key );
+		}
+
+		delete_option( 'wordpress_plugin_search_cache_index' );
+
+		$queue = &wordpress_plugin_search_cache_index_queue();
+		$queue = array();
+
+		// Anything the index lost track of becomes unreachable
+		update_option( 'wordpress_plugin_search_cache_version', (int) get_option( 'wordpress_plugin_search_cache_version', 1 ) + 1, false );
+
+		return count( $index );
+	}
+}
+
+/**
+ * Fetch one page of query_plugins results, cached per set of API parameters
+ */
+if ( ! function_exists( 'wordpress_plugin_search_fetch_plugins' ) ) {
+	function wordpress_plugin_search_fetch_plugins( $api_args, $force_refresh = false ) {
+		if ( ! function_exists( 'plugins_api' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+		}
+
+		// Build cache key based on actual API parameters
+		$cache_params = $api_args;
+		$cache_key = wordpress_plugin_search_cache_key( $cache_params );
+		
+		// Debug: Log cache key and parameters
+		wordpress_plugin_search_log( 'Cache key: ' . $cache_key );
+		wordpress_plugin_search_log( 'Cache params: ' . wp_json_encode( $cache_params ) );
+		
+		// Check cache - warming skips it to replace the stored copy
+		if ( ! $force_refresh ) {
+			$cached = wordpress_plugin_search_get_cached_plugins( $cache_params );
+			if ( ! is_wp_error( $cached ) ) {
+				return $cached;
+			}
+		}
+		
+		wordpress_plugin_search_log( 'No cache found, making API request' );
+		
+		// Set fields for performance
+		$api_args['fields'] = wordpress_plugin_search_get_card_fields();
+		
+		// Debug: Log what we're sending to the API
+		wordpress_plugin_search_log( 'API args: ' . wp_json_encode( $api_args ) );
+		
+		// Make API request
+		$response = plugins_api( 'query_plugins', $api_args );
+		
+		if ( is_wp_error( $response ) ) {
+			wordpress_plugin_search_log( 'API request failed: ' . $response->get_error_message() );
+
+			$fallback = wordpress_plugin_search_fallback_response( $cache_params );
+			if ( false !== $fallback ) {
+				return $fallback;
+			}
+
+			// Return a more user-friendly error
+			return new WP_Error( 
+				'api_error', 
+				'Unable to connect to WordPress.org plugin directory. Please try again later.', 
+				array( 'status' => 503 ) 
+			);
+		}
+		
+		// Check if response is valid
+		if ( ! is_object( $response ) || ! isset( $response->plugins ) ) {
+			wordpress_plugin_search_log( 'Invalid API response structure' );
+
+			$fallback = wordpress_plugin_search_fallback_response( $cache_params );
+			if ( false !== $fallback ) {
+				return $fallback;
+			}
+
+			return new WP_Error( 
+				'invalid_response', 
+				'Invalid response from plugin directory. Please try again.', 
+				array( 'status' => 502 ) 
+			);
+		}
+		
+		// Sanitize response
+		$sanitized_response = wordpress_plugin_search_sanitize_response( $response );
+		
+		// Ensure we have a valid plugins array
+		if ( ! isset( $sanitized_response['plugins'] ) || ! is_array( $sanitized_response['plugins'] ) ) {
+			$sanitized_response['plugins'] = array();
+		}
+		
+		// Ensure we have valid info
+		if ( ! isset( $sanitized_response['info'] ) || ! is_array( $sanitized_response['info'] ) ) {
+			$sanitized_response['info'] = array( 'results' => count( $sanitized_response['plugins'] ) );
+		}
+		
+		// Cache for as long as the settings allow for this browse type
+		$browse = isset( $api_args['browse'] ) ? $api_args['browse'] : 'popular';
+		wordpress_plugin_search_cache_set( $cache_params, $sanitized_response, wordpress_plugin_search_get_cache_ttl( $browse ) );
+		
+		return $sanitized_response;
+	}
+}
+
+/**
+ * The cached copy of a query, without ever asking WordPress.org
+ *
+ * Expired copies are served while WP-Cron fetches a fresh one. A query that
+ * was never cached returns an error for the caller to fall back on.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_cached_plugins' ) ) {
+	function wordpress_plugin_search_get_cached_plugins( $api_args ) {
+		$cache_key = wordpress_plugin_search_cache_key( $api_args );
+
+		$cached = wordpress_plugin_search_cache_get_entry( $api_args );
+		if ( false === $cached ) {
+			return new WP_Error( 'not_cached', 'No cached response for this query.' );
+		}
+
+		if ( $cached['stale'] ) {
+			// Serve the expired copy now and let WP-Cron fetch a fresh one
+			wordpress_plugin_search_log( 'Returning stale response for key: ' . $cache_key );
+			wordpress_plugin_search_schedule_refresh( $api_args );
+			return wordpress_plugin_search_stale_response( $cached );
+		}
+
+		wordpress_plugin_search_log( 'Returning cached response for key: ' . $cache_key );
+		return $cached['value'];
+	}
+}
+
+/**
+ * The last-known-good copy of a query after WordPress.org failed, false without one
+ */
+if ( ! function_exists( 'wordpress_plugin_search_fallback_response' ) ) {
+	function wordpress_plugin_search_fallback_response( $cache_params ) {
+		$cached = wordpress_plugin_search_cache_get_entry( $cache_params );
+		if ( false === $cached ) {
+			return false;
+		}
+
+		wordpress_plugin_search_log( 'Serving last-known-good response after upstream failure' );
+		wordpress_plugin_search_cache_mark_failed( $cache_params );
+		$cached['failed'] = true;
+
+		return wordpress_plugin_search_stale_response( $cached );
+	}
+}
+
+/**
+ * A cached query response, flagged when its last refresh failed
+ *
+ * Data that merely passed its TTL is served as-is while WP-Cron refreshes it.
+ * Only data WordPress.org could not replace is marked so the block can say so.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_stale_response' ) ) {
+	function wordpress_plugin_search_stale_response( $cached ) {
+		$response = $cached['value'];
+
+		if ( $cached['failed'] && is_array( $response ) ) {
+			$response['stale'] = true;
+		}
+
+		return $response;
+	}
+}
+
+/**
+ * Queue a background refresh of one query, once per query at a time
+ */
+if ( ! function_exists( 'wordpress_plugin_search_schedule_refresh' ) ) {
+	function wordpress_plugin_search_schedule_refresh( $api_args ) {
+		$args = array( $api_args );
+
+		if ( ! wp_next_scheduled( 'wordpress_plugin_search_refresh_query', $args ) ) {
+			wp_schedule_single_event( time(), 'wordpress_plugin_search_refresh_query', $args );
+		}
+	}
+}
+
+/**
+ * WP-Cron callback for a queued refresh
+ */
+if ( ! function_exists( 'wordpress_plugin_search_refresh_query' ) ) {
+	function wordpress_plugin_search_refresh_query( $api_args ) {
+		if ( is_array( $api_args ) ) {
+			wordpress_plugin_search_fetch_plugins( $api_args, true );
+		}
+	}
+	add_action( 'wordpress_plugin_search_refresh_query', 'wordpress_plugin_search_refresh_query' );
+}
+
+/**
+ * Page through query_plugins results keeping only plugins that pass a filter
+ *
+ * WordPress.org can't filter on most plugin properties, so matching plugins are
+ * collected from a bounded window of cached 100-plugin upstream pages. The
+ * returned info is exact when the window covers every result, and flagged as
+ * estimated when scanning stopped early because the requested page was full.
+ * With $cached_only set, any upstream page missing from the cache fails the
+ * whole scan instead of being fetched.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_filter_plugins' ) ) {
+	function wordpress_plugin_search_filter_plugins( $api_args, $filter_callback, $cached_only = false ) {
+		$page = isset( $api_args['page'] ) ? (int) $api_args['page'] : 1;
+		$per_page = isset( $api_args['per_page'] ) ? (int) $api_args['per_page'] : 100;
+
+		// One extra match tells us whether a further page exists
+		$needed = $page * $per_page + 1;
+
+		$matches = array();
+		$scanned = 0;
+		$upstream_total = 0;
+		$complete = false;
+		$stale = false;
+
+		$scan_args = $api_args;
+		$scan_args['per_page'] = 100;
+
+		for ( $scan_page = 1; $scan_page <= WORDPRESS_PLUGIN_SEARCH_MAX_SCAN_PAGES; $scan_page++ ) {
+			$scan_args['page'] = $scan_page;
+			$response = $cached_only
+				? wordpress_plugin_search_get_cached_plugins( $scan_args )
+				: wordpress_plugin_search_fetch_plugins( $scan_args );
+
+			if ( is_wp_error( $response ) ) {
+				if ( 1 === $scan_page || $cached_only ) {
+					return $response;
+				}
+				// Serve what we have rather than failing the whole page
+				break;
+			}
+
+			if ( ! empty( $response['stale'] ) ) {
+				$stale = true;
+			}
+
+			$upstream_total = isset( $response['info']['results'] ) ? (int) $response['info']['results'] : 0;
+			$upstream_pages = isset( $response['info']['pages'] ) ? (int) $response['info']['pages'] : 0;
+
+			foreach ( $response['plugins'] as $plugin ) {
+				$scanned++;
+				if ( call_user_func( $filter_callback, $plugin ) ) {
+					$matches[] = $plugin;
+				}
+			}
+
+			if ( count( $response['plugins'] ) < 100 || $scan_page >= $upstream_pages ) {
+				$complete = true;
+				break;
+			}
+
+			if ( count( $matches ) >= $needed ) {
+				break;
+			}
+		}
+
+		// Stopped at the scan cap without filling the page - report only what can be served
+		if ( ! $complete && count( $matches ) < $needed ) {
+			$complete = true;
+		}
+
+		if ( $complete ) {
+			$results = count( $matches );
+		} else {
+			// Extrapolate the match rate seen so far across the whole feed
+			$results = max( count( $matches ), (int) round( $upstream_total * count( $matches ) / max( 1, $scanned ) ) );
+		}
+
+		$filtered = array(
+			'info' => array(
+				'page' => $page,
+				'pages' => (int) max( $complete ? 0 : $page + 1, ceil( $results / max( 1, $per_page ) ) ),
+				'results' => $results,
+				'estimated' => ! $complete,
+			),
+			'plugins' => array_slice( $matches, ( $page - 1 ) * $per_page, $per_page ),
+		);
+
+		if ( $stale ) {
+			$filtered['stale'] = true;
+		}
+
+		return $filtered;
+	}
+}
+
+/**
+ * Secondary sort orders the proxy can apply within a browse feed
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_secondary_sorts' ) ) {
+	function wordpress_plugin_search_get_secondary_sorts() {
+		return array( 'rating', 'installs', 'name', 'last_updated' );
+	}
+}
+
+/**
+ * Page through a browse feed's leading plugins in a secondary sort order
+ *
+ * WordPress.org only sorts by its own feeds, so the first
+ * WORDPRESS_PLUGIN_SEARCH_SORT_PAGES scan pages form the candidate set. The
+ * scan pages are cached like any other query and ties keep the feed order,
+ * so every page of a sorted listing comes from the same ordering.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_sort_plugins' ) ) {
+	function wordpress_plugin_search_sort_plugins( $api_args, $orderby, $filter_callback = null ) {
+		$page = isset( $api_args['page'] ) ? (int) $api_args['page'] : 1;
+		$per_page = isset( $api_args['per_page'] ) ? (int) $api_args['per_page'] : 100;
+
+		$candidates = array();
+		$scanned = 0;
+		$stale = false;
+
+		$scan_args = $api_args;
+		$scan_args['per_page'] = 100;
+
+		for ( $scan_page = 1; $scan_page <= WORDPRESS_PLUGIN_SEARCH_SORT_PAGES; $scan_page++ ) {
+			$scan_args['page'] = $scan_page;
+			$response = wordpress_plugin_search_fetch_plugins( $scan_args );
+
+			if ( is_wp_error( $response ) ) {
+				if ( 1 === $scan_page ) {
+					return $response;
+				}
+				// Sort what we have rather than failing the whole page
+				break;
+			}
+
+			if ( ! empty( $response['stale'] ) ) {
+				$stale = true;
+			}
+
+			foreach ( $response['plugins'] as $plugin ) {
+				$scanned++;
+				if ( ! $filter_callback || call_user_func( $filter_callback, $plugin ) ) {
+					$candidates[] = $plugin;
+				}
+			}
+
+			$upstream_pages = isset( $response['info']['pages'] ) ? (int) $response['info']['pages'] : 0;
+			if ( count( $response['plugins'] ) < 100 || $scan_page >= $upstream_pages ) {
+				break;
+			}
+		}
+
+		$keys = wordpress_plugin_search_get_sort_keys( $candidates, $orderby );
+		$positions = array_keys( $candidates );
+
+		// Sorting positions keeps ties in feed order
+		usort( $positions, function( $a, $b ) use ( $keys, $orderby ) {
+			$order = 'name' === $orderby
+				? strnatcasecmp( $keys[ $a ], $keys[ $b ] )
+				: $keys[ $b ] <=> $keys[ $a ];
+
+			return 0 !== $order ? $order : $a <=> $b;
+		} );
+
+		$sorted = array();
+		foreach ( $positions as $position ) {
+			$sorted[] = $candidates[ $position ];
+		}
+
+		$results = count( $sorted );
+		$response = array(
+			'info' => array(
+				'page' => $page,
+				'pages' => (int) ceil( $results / max( 1, $per_page ) ),
+				'results' => $results,
+				'estimated' => false,
+				// Lets the front end say the order only covers the feed's leading plugins
+				'sorted_from' => $scanned,
+			),
+			'plugins' => array_slice( $sorted, ( $page - 1 ) * $per_page, $per_page ),
+		);
+
+		if ( $stale ) {
+			$response['stale'] = true;
+		}
+
+		return $response;
+	}
+}
+
+/**
+ * Sort key for each candidate, in candidate order
+ *
+ * Ratings are a Bayesian average: each plugin's rating is pulled towards the
+ * candidates' mean by a fixed number of imaginary votes, so a single
+ * five-star review doesn't outrank thousands of 4.8s.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_sort_keys' ) ) {
+	function wordpress_plugin_search_get_sort_keys( $plugins, $orderby ) {
+		if ( 'rating' === $orderby ) {
+			$prior_votes = 25;
+
+			$total_votes = 0;
+			$total_rating = 0;
+			foreach ( $plugins as $plugin ) {
+				$votes = isset( $plugin['num_ratings'] ) ? (int) $plugin['num_ratings'] : 0;
+				$total_votes += $votes;
+				$total_rating += $votes * ( isset( $plugin['rating'] ) ? (float) $plugin['rating'] : 0 );
+			}
+			$mean = $total_votes > 0 ? $total_rating / $total_votes : 0;
+
+			return array_map( function( $plugin ) use ( $prior_votes, $mean ) {
+				$votes = isset( $plugin['num_ratings'] ) ? (int) $plugin['num_ratings'] : 0;
+				$rating = isset( $plugin['rating'] ) ? (float) $plugin['rating'] : 0;
+
+				return ( $rating * $votes + $mean * $prior_votes ) / ( $votes + $prior_votes );
+			}, $plugins );
+		}
+
+		return array_map( function( $plugin ) use ( $orderby ) {
+			switch ( $orderby ) {
+				case 'installs':
+					return isset( $plugin['active_installs'] ) ? (int) $plugin['active_installs'] : 0;
+				case 'name':
+					return wordpress_plugin_search_plain_text( isset( $plugin['name'] ) ? $plugin['name'] : '' );
+				default:
+					$updated = isset( $plugin['last_updated'] ) ? strtotime( $plugin['last_updated'] ) : false;
+					return false === $updated ? 0 : $updated;
+			}
+		}, $plugins );
+	}
+}
+
+/**
+ * Reduce a version string to its leading numeric segments, '' when it has none
+ *
+ * Mirrors normalizeVersion() in compatibility.js.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_normalize_version' ) ) {
+	function wordpress_plugin_search_normalize_version( $version, $segments = 3 ) {
+		// Also used as a REST sanitize callback, which passes the request as the second argument
+		$segments = is_int( $segments ) ? $segments : 3;
+
+		if ( ! is_scalar( $version ) || ! preg_match( '/^\d+(\.\d+)*/', trim( (string) $version ), $matches ) ) {
+			return '';
+		}
+
+		return implode( '.', array_slice( explode( '.', $matches[0] ), 0, $segments ) );
+	}
+}
+
+/**
+ * Whether a plugin can be installed on the given WordPress and PHP versions
+ *
+ * Empty versions and missing requirements never count against a plugin.
+ * Mirrors isPluginCompatible() in compatibility.js.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_plugin_is_compatible' ) ) {
+	function wordpress_plugin_search_plugin_is_compatible( $plugin, $wp_version, $php_version ) {
+		$requires = wordpress_plugin_search_normalize_version( isset( $plugin['requires'] ) ? $plugin['requires'] : '' );
+		if ( '' !== $wp_version && '' !== $requires && version_compare( $requires, $wp_version, '>' ) ) {
+			return false;
+		}
+
+		// Only major.minor matters for PHP requirements
+		$requires_php = wordpress_plugin_search_normalize_version( isset( $plugin['requires_php'] ) ? $plugin['requires_php'] : '', 2 );
+		$php_version = wordpress_plugin_search_normalize_version( $php_version, 2 );
+		if ( '' !== $php_version && '' !== $requires_php && version_compare( $requires_php, $php_version, '>' ) ) {
+			return false;
+		}
+
+		return true;
+	}
+}
+
+/**
+ * Badges describing how a plugin fits the given versions
+ *
+ * Returns a list of status ('good', 'warning' or 'bad') and label pairs.
+ * Mirrors getCompatibilityBadges() in compatibility.js.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_compatibility_badges' ) ) {
+	function wordpress_plugin_search_get_compatibility_badges( $plugin, $wp_version, $php_version ) {
+		$badges = array();
+
+		if ( '' !== $wp_version ) {
+			$requires = wordpress_plugin_search_normalize_version( isset( $plugin['requires'] ) ? $plugin['requires'] : '' );
+			// "Tested up to 6.8" covers every 6.8.x release
+			$tested = wordpress_plugin_search_normalize_version( isset( $plugin['tested'] ) ? $plugin['tested'] : '', 2 );
+
+			if ( '' !== $requires && version_compare( $requires, $wp_version, '>' ) ) {
+				/* translators: %s: WordPress version */
+				$badges[] = array( 'bad', sprintf( __( 'Requires WP %s', 'wordpress-plugin-search-block-wp' ), $requires ) );
+			} elseif ( '' !== $tested && version_compare( $tested, wordpress_plugin_search_normalize_version( $wp_version, 2 ), '>=' ) ) {
+				/* translators: %s: WordPress version */
+				$badges[] = array( 'good', sprintf( __( 'Tested with your WP %s', 'wordpress-plugin-search-block-wp' ), $wp_version ) );
+			} elseif ( '' !== $tested ) {
+				/* translators: %s: WordPress version */
+				$badges[] = array( 'warning', sprintf( __( 'Not tested with WP %s', 'wordpress-plugin-search-block-wp' ), $wp_version ) );
+			}
+		}
+
+		if ( '' !== $php_version && ! wordpress_plugin_search_plugin_is_compatible( $plugin, '', $php_version ) ) {
+			$requires_php = wordpress_plugin_search_normalize_version( $plugin['requires_php'] );
+			/* translators: %s: PHP version */
+			$badges[] = array( 'bad', sprintf( __( 'Requires PHP %s', 'wordpress-plugin-search-block-wp' ), $requires_php ) );
+		}
+
+		return $badges;
+	}
+}
+
+/**
+ * The host site's WordPress and PHP versions for compatibility badges
+ *
+ * PHP is reduced to major.minor so the exact patch level isn't published.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_site_versions' ) ) {
+	function wordpress_plugin_search_get_site_versions() {
+		return array(
+			'wp' => wordpress_plugin_search_normalize_version( get_bloginfo( 'version' ) ),
+			'php' => wordpress_plugin_search_normalize_version( PHP_VERSION, 2 ),
+		);
+	}
+}
+
+/**
+ * Build one filter callback from the query's filter parameters
+ *
+ * Returns null when no filter is set. Cheap checks run first, since the
+ * screenshot check may need a lookup. The quality checks mirror
+ * matchesQualityFilters() in plugin-filters.js.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_query_filter' ) ) {
+	function wordpress_plugin_search_get_query_filter( $params ) {
+		$filters = array();
+
+		if ( isset( $params['browse'] ) && 'gems' === $params['browse'] ) {
+			$criteria = wordpress_plugin_search_get_gem_criteria( array(
+				'min_rating' => isset( $params['gem_min_rating'] ) ? $params['gem_min_rating'] : null,
+				'max_installs' => isset( $params['gem_max_installs'] ) ? $params['gem_max_installs'] : null,
+				'max_age_days' => isset( $params['gem_max_age'] ) ? $params['gem_max_age'] : null,
+			) );
+			$filters[] = function( $plugin ) use ( $criteria ) {
+				return wordpress_plugin_search_is_hidden_gem( $plugin, $criteria );
+			};
+		}
+
+		$wp_version = wordpress_plugin_search_normalize_version( isset( $params['compatible_wp'] ) ? $params['compatible_wp'] : '' );
+		$php_version = wordpress_plugin_search_normalize_version( isset( $params['compatible_php'] ) ? $params['compatible_php'] : '', 2 );
+		if ( '' !== $wp_version || '' !== $php_version ) {
+			$filters[] = function( $plugin ) use ( $wp_version, $php_version ) {
+				return wordpress_plugin_search_plugin_is_compatible( $plugin, $wp_version, $php_version );
+			};
+		}
+
+		// Ratings are a percentage, 20 points per star
+		$min_rating = isset( $params['min_rating'] ) ? min( 5, absint( $params['min_rating'] ) ) : 0;
+		if ( $min_rating > 0 ) {
+			$filters[] = function( $plugin ) use ( $min_rating ) {
+				return isset( $plugin['rating'] ) && (float) $plugin['rating'] >= $min_rating * 20;
+			};
+		}
+
+		$min_installs = isset( $params['min_installs'] ) ? absint( $params['min_installs'] ) : 0;
+		if ( $min_installs > 0 ) {
+			$filters[] = function( $plugin ) use ( $min_installs ) {
+				return isset( $plugin['active_installs'] ) && (int) $plugin['active_installs'] >= $min_installs;
+			};
+		}
+
+		// Only the date of "2025-05-01 3:04pm GMT" counts, as on the front end
+		$updated_within = isset( $params['updated_within'] ) ? min( 120, absint( $params['updated_within'] ) ) : 0;
+		if ( $updated_within > 0 ) {
+			$cutoff = time() - $updated_within * MONTH_IN_SECONDS;
+			$filters[] = function( $plugin ) use ( $cutoff ) {
+				if ( empty( $plugin['last_updated'] ) || ! preg_match( '/^\d{4}-\d{2}-\d{2}/', $plugin['last_updated'], $matches ) ) {
+					return false;
+				}
+				return strtotime( $matches[0] . ' 00:00:00 UTC' ) >= $cutoff;
+			};
+		}
+
+		// "Tested up to 6.8" covers every 6.8.x release
+		$tested_wp = wordpress_plugin_search_normalize_version( isset( $params['tested_wp'] ) ? $params['tested_wp'] : '', 2 );
+		if ( '' !== $tested_wp ) {
+			$filters[] = function( $plugin ) use ( $tested_wp ) {
+				$tested = wordpress_plugin_search_normalize_version( isset( $plugin['tested'] ) ? $plugin['tested'] : '', 2 );
+				return '' !== $tested && version_compare( $tested, $tested_wp, '>=' );
+			};
+		}
+
+		if ( ! empty( $params['has_screenshots'] ) && rest_sanitize_boolean( $params['has_screenshots'] ) ) {
+			$filters[] = 'wordpress_plugin_search_plugin_has_screenshots';
+		}
+
+		if ( empty( $filters ) ) {
+			return null;
+		}
+
+		return function( $plugin ) use ( $filters ) {
+			foreach ( $filters as $filter ) {
+				if ( ! call_user_func( $filter, $plugin ) ) {
+					return false;
+				}
+			}
+			return true;
+		};
+	}
+}
+
+/**
+ * Hidden gem thresholds from the site settings, with any overrides that are set
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_gem_criteria' ) ) {
+	function wordpress_plugin_search_get_gem_criteria( $overrides = array() ) {
+		$criteria = wordpress_plugin_search_get_settings()['hidden_gems'];
+
+		foreach ( array_keys( $criteria ) as $key ) {
+			if ( isset( $overrides[ $key ] ) && '' !== $overrides[ $key ] ) {
+				$criteria[ $key ] = absint( $overrides[ $key ] );
+			}
+		}
+
+		$criteria['min_rating'] = min( 100, $criteria['min_rating'] );
+		$criteria['max_age_days'] = max( 1, $criteria['max_age_days'] );
+
+		return $criteria;
+	}
+}
+
+/**
+ * Hidden gem thresholds for a block - attributes it leaves unset follow the site settings
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_block_gem_criteria' ) ) {
+	function wordpress_plugin_search_get_block_gem_criteria( $attributes ) {
+		return wordpress_plugin_search_get_gem_criteria( array(
+			'min_rating' => isset( $attributes['gemMinRating'] ) ? $attributes['gemMinRating'] : null,
+			'max_installs' => isset( $attributes['gemMaxInstalls'] ) ? $attributes['gemMaxInstalls'] : null,
+			'max_age_days' => isset( $attributes['gemMaxAgeDays'] ) ? $attributes['gemMaxAgeDays'] : null,
+		) );
+	}
+}
+
+/**
+ * Whether a plugin is well rated, recently updated and still little used, matching the front end
+ */
+if ( ! function_exists( 'wordpress_plugin_search_is_hidden_gem' ) ) {
+	function wordpress_plugin_search_is_hidden_gem( $plugin, $criteria ) {
+		// Unrated plugins never qualify, whatever the minimum
+		if ( empty( $plugin['rating'] ) || (float) $plugin['rating'] < $criteria['min_rating'] ) {
+			return false;
+		}
+
+		if ( ( isset( $plugin['active_installs'] ) ? (int) $plugin['active_installs'] : 0 ) >= $criteria['max_installs'] ) {
+			return false;
+		}
+
+		// Only the date of "2025-05-01 3:04pm GMT" counts, as on the front end
+		if ( empty( $plugin['last_updated'] ) || ! preg_match( '/^\d{4}-\d{2}-\d{2}/', $plugin['last_updated'], $matches ) ) {
+			return false;
+		}
+
+		return strtotime( $matches[0] . ' 00:00:00 UTC' ) >= time() - $criteria['max_age_days'] * DAY_IN_SECONDS;
+	}
+}
+
+/**
+ * Explain why a plugin counts as a hidden gem, for the badge tooltip
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_hidden_gem_reason' ) ) {
+	function wordpress_plugin_search_get_hidden_gem_reason( $plugin, $criteria ) {
+		return sprintf(
+			/* translators: 1: rating out of 5, 2: active installs threshold, 3: number of days */
+			__( 'Rated %1$s out of 5, under %2$s active installs and updated in the last %3$d days', 'wordpress-plugin-search-block-wp' ),
+			number_format_i18n( (float) $plugin['rating'] / 20, 1 ),
+			number_format_i18n( $criteria['max_installs'] ),
+			$criteria['max_age_days']
+		);
+	}
+}
+
+/**
+ * Whether a plugin has at least one screenshot
+ *
+ * The query payload carries the screenshot list, and the pages it comes from
+ * are cached already. Only plugins without one are looked up, cached per slug.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_plugin_has_screenshots' ) ) {
+	function wordpress_plugin_search_plugin_has_screenshots( $plugin ) {
+		if ( isset( $plugin['screenshots'] ) || empty( $plugin['slug'] ) ) {
+			return ! empty( $plugin['screenshots'] );
+		}
+
+		$cache_params = array( 'has_screenshots' => $plugin['slug'] );
+
+		$cached_result = wordpress_plugin_search_cache_get( $cache_params );
+		if ( false !== $cached_result ) {
+			return 'yes' === $cached_result;
+		}
+
+		// Fall back to the plugin's own information
+		$card = wordpress_plugin_search_get_plugin_card( $plugin['slug'] );
+		if ( is_wp_error( $card ) ) {
+			return false;
+		}
+
+		$has_screenshots = ! empty( $card['screenshots'] );
+
+		// Screenshots rarely come and go - keep the answer for a day. These stay
+		// out of the index and are cleared by the version bump on flush instead
+		wordpress_plugin_search_cache_set( $cache_params, $has_screenshots ? 'yes' : 'no', DAY_IN_SECONDS, false );
+
+		return $has_screenshots;
+	}
+}
+
+/**
+ * Fields requested from WordPress.org for plugin cards
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_card_fields' ) ) {
+	function wordpress_plugin_search_get_card_fields() {
+		return array(
+			'icons' => true,
+			'banners' => true,
+			'screenshots' => true,
+			'active_installs' => true,
+			'short_description' => true,
+			'rating' => true,
+			'num_ratings' => true,
+			'last_updated' => true,
+			'downloaded' => true,
+			'requires' => true,
+			'tested' => true,
+			'download_link' => true,
+			'homepage' => true,
+			'requires_php' => true,
+			'tags' => true,
+			'ratings' => true,
+			'support_threads' => true,
+			'support_threads_resolved' => true,
+		);
+	}
+}
+
+/**
+ * Normalize a list of plugin slugs
+ *
+ * Accepts a comma-separated string or an array, drops empties and duplicates,
+ * keeps the original order and caps the list so one request can't fan out
+ * into an unbounded number of WordPress.org lookups.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_parse_slugs' ) ) {
+	function wordpress_plugin_search_parse_slugs( $slugs ) {
+		if ( ! is_array( $slugs ) ) {
+			$slugs = explode( ',', (string) $slugs );
+		}
+
+		$slugs = array_map( 'sanitize_title', array_map( 'strval', $slugs ) );
+		$slugs = array_values( array_unique( array_filter( $slugs ) ) );
+
+		return array_slice( $slugs, 0, 50 );
+	}
+}
+
+/**
+ * Get card data for a single plugin, cached per slug
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_plugin_card' ) ) {
+	function wordpress_plugin_search_get_plugin_card( $slug ) {
+		if ( ! function_exists( 'plugins_api' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+		}
+
+		$cache_params = array( 'plugin_information' => $slug );
+
+		$cached_plugin = wordpress_plugin_search_cache_get( $cache_params );
+		if ( false !== $cached_plugin ) {
+			return $cached_plugin;
+		}
+
+		// Skip the heavy sections - cards only need the summary fields
+		$fields = array_merge(
+			wordpress_plugin_search_get_card_fields(),
+			array(
+				'sections' => false,
+				'versions' => false,
+				'reviews' => false,
+				'contributors' => false,
+			)
+		);
+
+		$response = plugins_api( 'plugin_information', array(
+			'slug' => $slug,
+			'fields' => $fields,
+		) );
+
+		if ( is_wp_error( $response ) ) {
+			wordpress_plugin_search_log( 'plugin_information failed for ' . $slug . ': ' . $response->get_error_message() );
+			return $response;
+		}
+
+		if ( ! is_object( $response ) || empty( $response->slug ) ) {
+			return new WP_Error(
+				'invalid_response',
+				'Invalid response from plugin directory. Please try again.',
+				array( 'status' => 502 )
+			);
+		}
+
+		$plugin = wordpress_plugin_search_sanitize_plugin( $response );
+
+		// Cache for 1 hour
+		wordpress_plugin_search_cache_set( $cache_params, $plugin, HOUR_IN_SECONDS );
+
+		return $plugin;
+	}
+}
+
+/**
+ * Handle curated plugin list requests
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_plugins' ) ) {
+	function wordpress_plugin_search_api_plugins( $request ) {
+		$limited = wordpress_plugin_search_rate_limit();
+		if ( $limited ) {
+			return $limited;
+		}
+
+		$slugs = wordpress_plugin_search_parse_slugs( $request->get_param( 'slugs' ) );
+
+		if ( empty( $slugs ) ) {
+			return new WP_Error( 'invalid_slugs', 'No valid plugin slugs provided', array( 'status' => 400 ) );
+		}
+
+		$response = wordpress_plugin_search_get_plugin_cards( $slugs );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		return rest_ensure_response( $response );
+	}
+}
+
+/**
+ * Fetch card data for a list of slugs, in the given order
+ *
+ * With $cached_only set, a slug missing from the cache fails the whole list
+ * instead of being fetched.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_plugin_cards' ) ) {
+	function wordpress_plugin_search_get_plugin_cards( $slugs, $cached_only = false ) {
+		$plugins = array();
+		$failed = 0;
+
+		// Keep the editor-defined order and skip plugins that no longer exist
+		foreach ( $slugs as $slug ) {
+			if ( $cached_only ) {
+				$cached = wordpress_plugin_search_cache_get_entry( array( 'plugin_information' => $slug ) );
+				if ( false === $cached ) {
+					return new WP_Error( 'not_cached', 'No cached card for ' . $slug . '.' );
+				}
+
+				$plugins[] = $cached['value'];
+				continue;
+			}
+
+			$plugin = wordpress_plugin_search_get_plugin_card( $slug );
+
+			if ( is_wp_error( $plugin ) ) {
+				$failed++;
+				continue;
+			}
+
+			$plugins[] = $plugin;
+		}
+
+		if ( empty( $plugins ) && $failed > 0 ) {
+			return new WP_Error(
+				'api_error',
+				'Unable to connect to WordPress.org plugin directory. Please try again later.',
+				array( 'status' => 503 )
+			);
+		}
+
+		return array(
+			'info' => array(
+				'page' => 1,
+				'pages' => 1,
+				'results' => count( $plugins ),
+			),
+			'plugins' => $plugins,
+		);
+	}
+}
+
+/**
+ * Any logged-in user may keep a shortlist
+ */
+if ( ! function_exists( 'wordpress_plugin_search_can_shortlist' ) ) {
+	function wordpress_plugin_search_can_shortlist() {
+		if ( is_user_logged_in() ) {
+			return true;
+		}
+
+		return new WP_Error(
+			'rest_forbidden',
+			'You must be logged in to save a shortlist.',
+			array( 'status' => rest_authorization_required_code() )
+		);
+	}
+}
+
+/**
+ * Get the current user's shortlisted slugs
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_shortlist' ) ) {
+	function wordpress_plugin_search_get_shortlist() {
+		$slugs = get_user_meta( get_current_user_id(), WORDPRESS_PLUGIN_SEARCH_SHORTLIST_META, true );
+
+		return is_array( $slugs ) ? wordpress_plugin_search_parse_slugs( $slugs ) : array();
+	}
+}
+
+/**
+ * Return the current user's shortlist
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_shortlist_get' ) ) {
+	function wordpress_plugin_search_api_shortlist_get() {
+		return rest_ensure_response( array(
+			'slugs' => wordpress_plugin_search_get_shortlist(),
+		) );
+	}
+}
+
+/**
+ * Replace the current user's shortlist
+ *
+ * Capped like curated lists, so the whole shortlist fits one /plugins request.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_shortlist_update' ) ) {
+	function wordpress_plugin_search_api_shortlist_update( $request ) {
+		$slugs = wordpress_plugin_search_parse_slugs( $request->get_param( 'slugs' ) );
+
+		if ( empty( $slugs ) ) {
+			delete_user_meta( get_current_user_id(), WORDPRESS_PLUGIN_SEARCH_SHORTLIST_META );
+		} else {
+			update_user_meta( get_current_user_id(), WORDPRESS_PLUGIN_SEARCH_SHORTLIST_META, $slugs );
+		}
+
+		return rest_ensure_response( array(
+			'slugs' => $slugs,
+		) );
+	}
+}
+
+/**
+ * Browse feeds a block offers visitors, and the one it starts on
+ *
+ * The block's own list narrows the site-wide allowed types; an empty list,
+ * or one the site no longer allows any of, offers everything allowed.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_block_feeds' ) ) {
+	function wordpress_plugin_search_get_block_feeds( $attributes ) {
+		$allowed = wordpress_plugin_search_get_settings()['allowed_browse'];
+
+		// Hidden gems need the feed they are picked from
+		if ( in_array( wordpress_plugin_search_get_hidden_gems_feed(), $allowed, true ) ) {
+			$allowed[] = 'gems';
+		}
+
+		$feeds = isset( $attributes['sortFeeds'] ) && is_array( $attributes['sortFeeds'] )
+			? array_values( array_intersect( $allowed, $attributes['sortFeeds'] ) )
+			: array();
+		if ( empty( $feeds ) ) {
+			$feeds = $allowed;
+		}
+
+		$default = isset( $attributes['defaultSort'] ) ? (string) $attributes['defaultSort'] : 'popular';
+		if ( ! in_array( $default, $feeds, true ) ) {
+			$default = $feeds[0];
+		}
+
+		return array(
+			'feeds' => $feeds,
+			'default' => $default,
+		);
+	}
+}
+
+/**
+ * The cached first page of results a block shows before any visitor input
+ *
+ * Page renders never wait on WordPress.org. When anything is missing from the
+ * cache this returns an error, and the block shows its loading state while
+ * the front end fetches the results through the proxy.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_initial_results' ) ) {
+	function wordpress_plugin_search_get_initial_results( $attributes ) {
+		if ( isset( $attributes['mode'] ) && 'curated' === $attributes['mode'] ) {
+			$slugs = isset( $attributes['slugs'] ) ? wordpress_plugin_search_parse_slugs( $attributes['slugs'] ) : array();
+
+			if ( empty( $slugs ) ) {
+				return array(
+					'info' => array(
+						'page' => 1,
+						'pages' => 1,
+						'results' => 0,
+					),
+					'plugins' => array(),
+				);
+			}
+
+			return wordpress_plugin_search_get_plugin_cards( $slugs, true );
+		}
+
+		// Mirror the parameters the front end sends for its first request
+		$params = array(
+			'browse' => wordpress_plugin_search_get_block_feeds( $attributes )['default'],
+			'per_page' => isset( $attributes['resultsPerPage'] ) ? max( 1, min( 100, (int) $attributes['resultsPerPage'] ) ) : 12,
+			'page' => 1,
+		);
+
+		if ( 'gems' === $params['browse'] ) {
+			$criteria = wordpress_plugin_search_get_block_gem_criteria( $attributes );
+			$params['gem_min_rating'] = $criteria['min_rating'];
+			$params['gem_max_installs'] = $criteria['max_installs'];
+			$params['gem_max_age'] = $criteria['max_age_days'];
+		}
+
+		foreach ( array( 'author', 'user', 'tag' ) as $filter_key ) {
+			if ( ! empty( $attributes[ $filter_key ] ) ) {
+				$params[ $filter_key ] = $attributes[ $filter_key ];
+			}
+		}
+
+		// Default quality filters from the block
+		$quality_params = array(
+			'minRating' => 'min_rating',
+			'minInstalls' => 'min_installs',
+			'updatedWithin' => 'updated_within',
+			'testedWith' => 'tested_wp',
+		);
+		foreach ( $quality_params as $attribute => $param ) {
+			if ( ! empty( $attributes[ $attribute ] ) ) {
+				$params[ $param ] = $attributes[ $attribute ];
+			}
+		}
+
+		$api_args = wordpress_plugin_search_build_query_args( $params );
+		$filter = wordpress_plugin_search_get_query_filter( $params );
+
+		return wordpress_plugin_search_cap_pages(
+			$filter
+				? wordpress_plugin_search_filter_plugins( $api_args, $filter, true )
+				: wordpress_plugin_search_get_cached_plugins( $api_args )
+		);
+	}
 }
 
+/**
+ * Convert API text to plain text for output
+ */
+if ( ! function_exists( 'wordpress_plugin_search_plain_text' ) ) {
+	function wordpress_plugin_search_plain_text( $text ) {
+		return trim( wp_strip_all_tags( html_entity_decode( (string) $text, ENT_QUOTES, 'UTF-8' ) ) );
+	}
+}
 
 /**
- * Add test endpoint for debugging
+ * Pick the best icon for a plugin, matching the front end's choice
  */
-if ( ! function_exists( 'wordpress_plugin_search_register_test_endpoint' ) ) {
-	function wordpress_plugin_search_register_test_endpoint() {
-		register_rest_route( 'wordpress-plugin-search/v1', '/test', array(
-			'methods' => 'GET',
-			'callback' => function() {
+if ( ! function_exists( 'wordpress_plugin_search_get_plugin_icon' ) ) {
+	function wordpress_plugin_search_get_plugin_icon( $icons ) {
+		if ( empty( $icons ) || ! is_array( $icons ) ) {
+			return null;
+		}
+
+		if ( ! empty( $icons['svg'] ) ) {
+			return array( 'src' => $icons['svg'], 'srcset' => '' );
+		}
+
+		foreach ( array( '1x', '2x', 'default' ) as $size ) {
+			if ( ! empty( $icons[ $size ] ) ) {
 				return array(
-					'success' => true,
-					'message' => 'Plugin search API is working',
-					'timestamp' => current_time( 'mysql' ),
-					'plugins_api_available' => function_exists( 'plugins_api' )
+					'src' => $icons[ $size ],
+					'srcset' => ! empty( $icons['1x'] ) && ! empty( $icons['2x'] ) ? $icons['1x'] . ' 1x, ' . $icons['2x'] . ' 2x' : '',
 				);
-			},
-			'permission_callback' => '__return_true'
-		) );
+			}
+		}
+
+		return null;
 	}
-	add_action( 'rest_api_init', 'wordpress_plugin_search_register_test_endpoint' );
 }
 
 /**
- * Add cache clearing endpoint for debugging
+ * Pick the best banner for a plugin, matching the front end's choice
  */
-if ( ! function_exists( 'wordpress_plugin_search_register_cache_endpoint' ) ) {
-	function wordpress_plugin_search_register_cache_endpoint() {
-		register_rest_route( 'wordpress-plugin-search/v1', '/clear-cache', array(
-			'methods' => 'POST',
-			'callback' => function() {
-				global $wpdb;
-				$wpdb->query( "DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient_wps_%'" );
-				$wpdb->query( "DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient_timeout_wps_%'" );
-				return array(
-					'success' => true,
-					'message' => 'Plugin search cache cleared',
-					'timestamp' => current_time( 'mysql' )
-				);
-			},
-			'permission_callback' => '__return_true'
-		) );
+if ( ! function_exists( 'wordpress_plugin_search_get_plugin_banner' ) ) {
+	function wordpress_plugin_search_get_plugin_banner( $banners ) {
+		if ( empty( $banners ) || ! is_array( $banners ) ) {
+			return null;
+		}
+
+		$src = ! empty( $banners['low'] ) ? $banners['low'] : ( ! empty( $banners['high'] ) ? $banners['high'] : '' );
+		if ( '' === $src ) {
+			return null;
+		}
+
+		return array(
+			'src' => $src,
+			'srcset' => ! empty( $banners['low'] ) && ! empty( $banners['high'] ) ? $banners['low'] . ' 1x, ' . $banners['high'] . ' 2x' : '',
+		);
 	}
-	add_action( 'rest_api_init', 'wordpress_plugin_search_register_cache_endpoint' );
 }
 
 /**
- * Add cache debugging endpoint
+ * Render an icon image tag
  */
-if ( ! function_exists( 'wordpress_plugin_search_register_cache_debug_endpoint' ) ) {
-	function wordpress_plugin_search_register_cache_debug_endpoint() {
-		register_rest_route( 'wordpress-plugin-search/v1', '/cache-debug', array(
-			'methods' => 'GET',
-			'callback' => function() {
-				global $wpdb;
-				$transients = $wpdb->get_results( 
-					"SELECT option_name, option_value FROM {$wpdb->options} WHERE option_name LIKE '_transient_wps_%' ORDER BY option_name"
-				);
-				
-				$debug_info = array();
-				foreach ( $transients as $transient ) {
-					$key = str_replace( '_transient_', '', $transient->option_name );
-					$data = maybe_unserialize( $transient->option_value );
-					$debug_info[] = array(
-						'key' => $key,
-						'has_data' => ! empty( $data ),
-						'data_type' => gettype( $data ),
-						'plugin_count' => isset( $data['plugins'] ) ? count( $data['plugins'] ) : 0
-					);
-				}
-				
-				return array(
-					'total_transients' => count( $transients ),
-					'transients' => $debug_info
-				);
-			},
-			'permission_callback' => '__return_true'
-		) );
+if ( ! function_exists( 'wordpress_plugin_search_render_plugin_icon' ) ) {
+	function wordpress_plugin_search_render_plugin_icon( $plugin, $size ) {
+		$icon = wordpress_plugin_search_get_plugin_icon( isset( $plugin['icons'] ) ? $plugin['icons'] : array() );
+		if ( ! $icon ) {
+			return '';
+		}
+
+		$dimension = 'large' === $size ? 128 : 48;
+
+		return sprintf(
+			'<img class="wps-plugin-icon wps-plugin-icon--%1$s" src="%2$s"%3$s alt="" loading="lazy" width="%4$d" height="%4$d" />',
+			esc_attr( $size ),
+			esc_url( $icon['src'] ),
+			$icon['srcset'] ? ' srcset="' . esc_attr( $icon['srcset'] ) . '"' : '',
+			$dimension
+		);
 	}
-	add_action( 'rest_api_init', 'wordpress_plugin_search_register_cache_debug_endpoint' );
 }
 
 /**
- * Handle API queries
+ * Render a plugin card with the same markup the front end builds
+ *
+ * The front end hydrates these cards in place, so class names and structure
+ * must stay in step with renderPluginItem() in view.js.
  */
-if ( ! function_exists( 'wordpress_plugin_search_api_query' ) ) {
-	function wordpress_plugin_search_api_query( $request ) {
-		// Include admin functions
-		if ( ! function_exists( 'plugins_api' ) ) {
-			require_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+if ( ! function_exists( 'wordpress_plugin_search_render_plugin_card' ) ) {
+	function wordpress_plugin_search_render_plugin_card( $plugin, $card_layout, $versions = array(), $gem_criteria = null ) {
+		if ( empty( $plugin['name'] ) || empty( $plugin['slug'] ) ) {
+			return '';
 		}
-		
-		$action = sanitize_text_field( $request->get_param( 'action' ) );
-		
-		if ( 'query_plugins' !== $action ) {
-			return new WP_Error( 'invalid_action', 'Invalid action', array( 'status' => 400 ) );
+
+		$name = wordpress_plugin_search_plain_text( $plugin['name'] );
+		$wporg_url = 'https://wordpress.org/plugins/' . rawurlencode( $plugin['slug'] ) . '/';
+		$is_gem = $gem_criteria && wordpress_plugin_search_is_hidden_gem( $plugin, $gem_criteria );
+
+		ob_start();
+		?>
+		<div class="wps-plugin-item wps-plugin-item--<?php echo esc_attr( $card_layout ); ?><?php echo $is_gem ? ' wps-hidden-gem' : ''; ?>" data-slug="<?php echo esc_attr( $plugin['slug'] ); ?>" tabindex="0">
+			<?php if ( $is_gem ) : ?>
+				<span class="wps-hidden-gem-badge" title="<?php echo esc_attr( wordpress_plugin_search_get_hidden_gem_reason( $plugin, $gem_criteria ) ); ?>"><?php echo esc_html__( 'Hidden gem', 'wordpress-plugin-search-block-wp' ); ?></span>
+			<?php endif; ?>
+			<?php if ( 'screenshot' === $card_layout ) : ?>
+				<div class="wps-screenshot-slider">
+					<?php if ( ! empty( $plugin['screenshots'][0]['url'] ) ) : ?>
+						<div class="wps-main-screenshot">
+							<?php /* translators: %s: plugin name */ ?>
+							<img src="<?php echo esc_url( $plugin['screenshots'][0]['url'] ); ?>" alt="<?php echo esc_attr( sprintf( __( '%s screenshot', 'wordpress-plugin-search-block-wp' ), $name ) ); ?>" loading="lazy" />
+						</div>
+					<?php else : ?>
+						<div class="wps-no-screenshot"><span><?php echo esc_html__( 'No screenshots available', 'wordpress-plugin-search-block-wp' ); ?></span></div>
+					<?php endif; ?>
+				</div>
+			<?php elseif ( 'banner' === $card_layout ) : ?>
+				<?php $banner = wordpress_plugin_search_get_plugin_banner( isset( $plugin['banners'] ) ? $plugin['banners'] : array() ); ?>
+				<?php if ( $banner ) : ?>
+					<div class="wps-plugin-banner">
+						<?php /* translators: %s: plugin name */ ?>
+						<img class="wps-plugin-banner__image" src="<?php echo esc_url( $banner['src'] ); ?>"<?php echo $banner['srcset'] ? ' srcset="' . esc_attr( $banner['srcset'] ) . '"' : ''; ?> alt="<?php echo esc_attr( sprintf( __( '%s banner', 'wordpress-plugin-search-block-wp' ), $name ) ); ?>" loading="lazy" />
+					</div>
+				<?php else : ?>
+					<div class="wps-plugin-banner wps-plugin-banner--fallback">
+						<?php echo wordpress_plugin_search_render_plugin_icon( $plugin, 'large' ); ?>
+					</div>
+				<?php endif; ?>
+			<?php endif; ?>
+			<div class="wps-plugin-info">
+				<div class="wps-plugin-heading">
+					<?php echo wordpress_plugin_search_render_plugin_icon( $plugin, 'icon' === $card_layout ? 'large' : 'small' ); ?>
+					<h3 class="wps-plugin-title"><?php echo esc_html( $name ); ?></h3>
+				</div>
+				<?php if ( ! empty( $plugin['author'] ) ) : ?>
+					<?php $author = wordpress_plugin_search_plain_text( $plugin['author'] ); ?>
+					<p class="wps-plugin-author"><?php echo esc_html__( 'By', 'wordpress-plugin-search-block-wp' ); ?> <?php if ( ! empty( $plugin['author_url'] ) ) : ?><a href="<?php echo esc_url( $plugin['author_url'] ); ?>" target="_blank" rel="noopener noreferrer"><?php echo esc_html( $author ); ?></a><?php else : ?><?php echo esc_html( $author ); ?><?php endif; ?></p>
+				<?php endif; ?>
+				<?php if ( ! empty( $plugin['short_description'] ) ) : ?>
+					<p class="wps-plugin-description"><?php echo esc_html( wordpress_plugin_search_plain_text( $plugin['short_description'] ) ); ?></p>
+				<?php endif; ?>
+				<?php if ( ! empty( $plugin['tags'] ) && is_array( $plugin['tags'] ) ) : ?>
+					<ul class="wps-plugin-tags">
+						<?php foreach ( array_slice( $plugin['tags'], 0, 3 ) as $tag_label ) : ?>
+							<li class="wps-plugin-tag"><?php echo esc_html( wordpress_plugin_search_plain_text( $tag_label ) ); ?></li>
+						<?php endforeach; ?>
+					</ul>
+				<?php endif; ?>
+				<div class="wps-plugin-meta">
+					<?php if ( ! empty( $plugin['rating'] ) ) : ?>
+						<?php $stars = (int) round( $plugin['rating'] / 20 ); ?>
+						<div class="wps-plugin-rating" title="<?php echo esc_attr( wordpress_plugin_search_get_rating_breakdown_text( $plugin ) ); ?>">
+							<span class="wps-rating-stars"><?php echo esc_html( str_repeat( '★', $stars ) . str_repeat( '☆', 5 - $stars ) ); ?></span>
+							<span class="wps-rating-text">(<?php echo esc_html( number_format_i18n( isset( $plugin['num_ratings'] ) ? (int) $plugin['num_ratings'] : 0 ) ); ?>)</span>
+						</div>
+					<?php endif; ?>
+					<?php if ( ! empty( $plugin['active_installs'] ) ) : ?>
+						<div class="wps-plugin-installs">
+							<?php
+							/* translators: %s: number of active installs */
+							echo esc_html( sprintf( __( '%s+ installs', 'wordpress-plugin-search-block-wp' ), number_format_i18n( (int) $plugin['active_installs'] ) ) );
+							?>
+						</div>
+					<?php endif; ?>
+				</div>
+				<?php $stats = wordpress_plugin_search_get_plugin_stats( $plugin ); ?>
+				<?php if ( ! empty( $stats ) ) : ?>
+					<dl class="wps-plugin-stats">
+						<?php foreach ( $stats as $stat ) : ?>
+							<dt><?php echo esc_html( $stat[0] ); ?></dt>
+							<dd><?php echo esc_html( $stat[1] ); ?></dd>
+						<?php endforeach; ?>
+					</dl>
+				<?php endif; ?>
+				<?php $badges = wordpress_plugin_search_get_compatibility_badges( $plugin, isset( $versions['wp'] ) ? $versions['wp'] : '', isset( $versions['php'] ) ? $versions['php'] : '' ); ?>
+				<?php if ( ! empty( $badges ) ) : ?>
+					<ul class="wps-compat-badges">
+						<?php foreach ( $badges as $badge ) : ?>
+							<li class="wps-compat-badge wps-compat-badge--<?php echo esc_attr( $badge[0] ); ?>"><?php echo esc_html( $badge[1] ); ?></li>
+						<?php endforeach; ?>
+					</ul>
+				<?php endif; ?>
+				<a class="wps-plugin-wporg-link" href="<?php echo esc_url( $wporg_url ); ?>" target="_blank" rel="noopener noreferrer"><?php echo esc_html__( 'View on WordPress.org', 'wordpress-plugin-search-block-wp' ); ?></a>
+				<?php if ( ! empty( $plugin['homepage'] ) && ! preg_match( '#^https?://wordpress\.org/plugins/#', $plugin['homepage'] ) ) : ?>
+					<a class="wps-plugin-homepage-link" href="<?php echo esc_url( $plugin['homepage'] ); ?>" target="_blank" rel="noopener noreferrer"><?php echo esc_html__( 'Plugin homepage', 'wordpress-plugin-search-block-wp' ); ?></a>
+				<?php endif; ?>
+			</div>
+		</div>
+		<?php
+		return ob_get_clean();
+	}
+}
+
+/**
+ * Label and value pairs for the facts listed on a card
+ *
+ * Mirrors getPluginStats() in view.js so server-rendered cards match.
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_plugin_stats' ) ) {
+	function wordpress_plugin_search_get_plugin_stats( $plugin ) {
+		$stats = array();
+
+		$requires = array();
+		if ( ! empty( $plugin['requires'] ) ) {
+			/* translators: %s: WordPress version */
+			$requires[] = sprintf( __( 'WordPress %s', 'wordpress-plugin-search-block-wp' ), $plugin['requires'] );
 		}
-		
-		// Build API parameters first
-		$api_args = array();
-		
-		// Handle browse parameter with more options
-		$browse = $request->get_param( 'browse' );
-		if ( $browse && in_array( $browse, array( 'popular', 'new', 'updated', 'featured', 'beta' ), true ) ) {
-			$api_args['browse'] = $browse;
-		} else {
-			$api_args['browse'] = 'popular'; // Default to popular plugins
+		if ( ! empty( $plugin['requires_php'] ) ) {
+			/* translators: %s: PHP version */
+			$requires[] = sprintf( __( 'PHP %s', 'wordpress-plugin-search-block-wp' ), $plugin['requires_php'] );
 		}
-		
-		
-		// Handle per_page parameter
-		if ( $request->get_param( 'per_page' ) ) {
-			$per_page = absint( $request->get_param( 'per_page' ) );
-			if ( $per_page > 0 && $per_page <= 100 ) {
-				$api_args['per_page'] = $per_page;
-			}
+		if ( ! empty( $requires ) ) {
+			$stats[] = array( __( 'Requires', 'wordpress-plugin-search-block-wp' ), implode( ' · ', $requires ) );
 		}
-		
-		// Handle page parameter
-		if ( $request->get_param( 'page' ) ) {
-			$page = absint( $request->get_param( 'page' ) );
-			if ( $page > 0 ) {
-				$api_args['page'] = $page;
-			}
+
+		if ( ! empty( $plugin['tested'] ) ) {
+			$stats[] = array( __( 'Tested up to', 'wordpress-plugin-search-block-wp' ), $plugin['tested'] );
 		}
 
-		// Handle additional parameters for better search
-		if ( $request->get_param( 'author' ) ) {
-			$api_args['author'] = sanitize_text_field( $request->get_param( 'author' ) );
+		// Two months of threads - nothing to judge when there were none
+		if ( ! empty( $plugin['support_threads'] ) ) {
+			$stats[] = array(
+				__( 'Support', 'wordpress-plugin-search-block-wp' ),
+				sprintf(
+					/* translators: 1: resolved support threads, 2: total support threads */
+					__( '%1$s of %2$s threads resolved', 'wordpress-plugin-search-block-wp' ),
+					number_format_i18n( isset( $plugin['support_threads_resolved'] ) ? (int) $plugin['support_threads_resolved'] : 0 ),
+					number_format_i18n( (int) $plugin['support_threads'] )
+				),
+			);
 		}
 
-		if ( $request->get_param( 'user' ) ) {
-			$api_args['user'] = sanitize_text_field( $request->get_param( 'user' ) );
+		if ( ! empty( $plugin['downloaded'] ) ) {
+			$stats[] = array( __( 'Downloads', 'wordpress-plugin-search-block-wp' ), number_format_i18n( (int) $plugin['downloaded'] ) );
 		}
 
-		if ( $request->get_param( 'tag' ) ) {
-			$api_args['tag'] = sanitize_text_field( $request->get_param( 'tag' ) );
+		return $stats;
+	}
+}
+
+/**
+ * Per-star rating counts for the rating tooltip, mirroring getRatingBreakdownText() in view.js
+ */
+if ( ! function_exists( 'wordpress_plugin_search_get_rating_breakdown_text' ) ) {
+	function wordpress_plugin_search_get_rating_breakdown_text( $plugin ) {
+		if ( empty( $plugin['ratings'] ) || ! is_array( $plugin['ratings'] ) ) {
+			return '';
 		}
-		
-		// Build cache key based on actual API parameters
-		$cache_params = $api_args;
-		$cache_key = 'wps_' . hash( 'sha256', wp_json_encode( $cache_params ) );
-		
-		// Debug: Log cache key and parameters
-		error_log( 'WordPress Plugin Search: Cache key: ' . $cache_key );
-		error_log( 'WordPress Plugin Search: Cache params: ' . wp_json_encode( $cache_params ) );
-		
-		// Check cache
-		$cached_response = get_transient( $cache_key );
+
+		$parts = array();
+		for ( $stars = 5; $stars >= 1; $stars-- ) {
+			$count = isset( $plugin['ratings'][ (string) $stars ] ) ? (int) $plugin['ratings'][ (string) $stars ] : 0;
+			/* translators: 1: number of stars, 2: number of ratings */
+			$parts[] = sprintf( _n( '%1$d star: %2$s', '%1$d stars: %2$s', $stars, 'wordpress-plugin-search-block-wp' ), $stars, number_format_i18n( $count ) );
+		}
+
+		return implode( ', ', $parts );
+	}
+}
+
+/**
+ * Handle single plugin detail requests
+ */
+if ( ! function_exists( 'wordpress_plugin_search_api_plugin_details' ) ) {
+	function wordpress_plugin_search_api_plugin_details( $request ) {
+		if ( ! function_exists( 'plugins_api' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+		}
+
+		$limited = wordpress_plugin_search_rate_limit();
+		if ( $limited ) {
+			return $limited;
+		}
+
+		$slug = sanitize_title( $request->get_param( 'slug' ) );
+
+		if ( '' === $slug ) {
+			return new WP_Error( 'invalid_slug', 'Invalid plugin slug', array( 'status' => 400 ) );
+		}
+
+		// Separate cache from the card data - detail payloads are much larger
+		$cache_params = array( 'plugin_details' => $slug );
+
+		$cached_response = wordpress_plugin_search_cache_get( $cache_params );
 		if ( false !== $cached_response ) {
-			error_log( 'WordPress Plugin Search: Returning cached response for key: ' . $cache_key );
 			return rest_ensure_response( $cached_response );
 		}
-		
-		error_log( 'WordPress Plugin Search: No cache found, making API request' );
-		
-		// Set fields for performance
-		$api_args['fields'] = array(
-			'icons' => true,
-			'active_installs' => true,
-			'short_description' => true,
-			'rating' => true,
-			'num_ratings' => true,
-			'last_updated' => true,
-			'downloaded' => true,
-			'requires' => true,
-			'tested' => true,
-			'download_link' => true,
-			'homepage' => true,
-		);
-		
-		// Debug: Log what we're sending to the API
-		error_log( 'WordPress Plugin Search: API args: ' . wp_json_encode( $api_args ) );
-		
-		// Make API request
-		$response = plugins_api( $action, $api_args );
-		
+
+		$response = plugins_api( 'plugin_information', array(
+			'slug' => $slug,
+			'fields' => array_merge(
+				wordpress_plugin_search_get_card_fields(),
+				array(
+					'sections' => true,
+					'versions' => true,
+					'contributors' => true,
+					'ratings' => true,
+					'requires_php' => true,
+					'reviews' => false,
+				)
+			),
+		) );
+
 		if ( is_wp_error( $response ) ) {
-			// Return a more user-friendly error
-			return new WP_Error( 
-				'api_error', 
-				'Unable to connect to WordPress.org plugin directory. Please try again later.', 
-				array( 'status' => 503 ) 
+			// plugins_api() reports unknown slugs as a plain API failure
+			if ( false !== stripos( $response->get_error_message(), 'not found' ) ) {
+				return new WP_Error( 'plugin_not_found', 'Plugin not found.', array( 'status' => 404 ) );
+			}
+
+			return new WP_Error(
+				'api_error',
+				'Unable to connect to WordPress.org plugin directory. Please try again later.',
+				array( 'status' => 503 )
 			);
 		}
-		
-		// Check if response is valid
-		if ( ! is_object( $response ) || ! isset( $response->plugins ) ) {
-			error_log( 'WordPress Plugin Search: Invalid API response structure' );
-			return new WP_Error( 
-				'invalid_response', 
-				'Invalid response from plugin directory. Please try again.', 
-				array( 'status' => 502 ) 
+
+		if ( ! is_object( $response ) || empty( $response->slug ) ) {
+			wordpress_plugin_search_log( 'Invalid plugin_information response for ' . $slug );
+			return new WP_Error(
+				'invalid_response',
+				'Invalid response from plugin directory. Please try again.',
+				array( 'status' => 502 )
 			);
 		}
-		
-		// Sanitize response
-		$sanitized_response = wordpress_plugin_search_sanitize_response( $response );
-		
-		// Ensure we have a valid plugins array
-		if ( ! isset( $sanitized_response['plugins'] ) || ! is_array( $sanitized_response['plugins'] ) ) {
-			$sanitized_response['plugins'] = array();
-		}
-		
-		// Ensure we have valid info
-		if ( ! isset( $sanitized_response['info'] ) || ! is_array( $sanitized_response['info'] ) ) {
-			$sanitized_response['info'] = array( 'results' => count( $sanitized_response['plugins'] ) );
-		}
-		
+
+		$sanitized_response = wordpress_plugin_search_sanitize_plugin_details( $response );
+
 		// Cache for 1 hour
-		set_transient( $cache_key, $sanitized_response, HOUR_IN_SECONDS );
-		
+		wordpress_plugin_search_cache_set( $cache_params, $sanitized_response, HOUR_IN_SECONDS );
+
 		return rest_ensure_response( $sanitized_response );
 	}
 }
@@ -332,8 +2931,8 @@ if ( ! function_exists( 'wordpress_plugin_search_sanitize_plugin' ) ) {
 		
 		// Safe text fields that need proper HTML entity decoding
 		$text_fields = array(
-			'slug', 'version', 'author', 'author_profile', 'requires', 'tested',
-			'requires_php', 'last_updated', 'added', 'homepage', 'download_link'
+			'slug', 'version', 'author_profile', 'requires', 'tested',
+			'requires_php', 'last_updated', 'added', 'download_link'
 		);
 		
 		foreach ( $text_fields as $field ) {
@@ -341,6 +2940,30 @@ if ( ! function_exists( 'wordpress_plugin_search_sanitize_plugin' ) ) {
 				$sanitized[ $field ] = sanitize_text_field( $plugin_array[ $field ] );
 			}
 		}
+
+		// The API sends false for "no requirement" - don't pass along an empty string
+		foreach ( array( 'requires', 'tested', 'requires_php' ) as $field ) {
+			if ( isset( $sanitized[ $field ] ) && '' === $sanitized[ $field ] ) {
+				unset( $sanitized[ $field ] );
+			}
+		}
+
+		if ( isset( $plugin_array['homepage'] ) && is_string( $plugin_array['homepage'] ) && filter_var( $plugin_array['homepage'], FILTER_VALIDATE_URL ) ) {
+			$sanitized['homepage'] = esc_url_raw( $plugin_array['homepage'] );
+		}
+
+		// Author arrives as a link - split it into a plain name and a validated URL
+		if ( isset( $plugin_array['author'] ) && is_string( $plugin_array['author'] ) ) {
+			$author = html_entity_decode( $plugin_array['author'], ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+			$sanitized['author'] = sanitize_text_field( wp_strip_all_tags( $author ) );
+
+			if ( preg_match( '/href=(["\'])(.*?)\1/i', $plugin_array['author'], $matches ) ) {
+				$author_url = html_entity_decode( $matches[2], ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+				if ( filter_var( $author_url, FILTER_VALIDATE_URL ) ) {
+					$sanitized['author_url'] = esc_url_raw( $author_url );
+				}
+			}
+		}
 		
 		// Special handling for name and description - decode HTML entities properly
 		if ( isset( $plugin_array['name'] ) ) {
@@ -356,12 +2979,35 @@ if ( ! function_exists( 'wordpress_plugin_search_sanitize_plugin' ) ) {
 		}
 		
 		// Numeric fields
-		$numeric_fields = array( 'rating', 'num_ratings', 'active_installs', 'downloaded' );
+		$numeric_fields = array(
+			'rating', 'num_ratings', 'active_installs', 'downloaded',
+			'support_threads', 'support_threads_resolved'
+		);
 		foreach ( $numeric_fields as $field ) {
 			if ( isset( $plugin_array[ $field ] ) ) {
 				$sanitized[ $field ] = (int) $plugin_array[ $field ];
 			}
 		}
+
+		// Per-star rating breakdown
+		if ( isset( $plugin_array['ratings'] ) && is_array( $plugin_array['ratings'] ) ) {
+			$sanitized['ratings'] = array();
+			for ( $stars = 5; $stars >= 1; $stars-- ) {
+				$sanitized['ratings'][ (string) $stars ] = isset( $plugin_array['ratings'][ $stars ] ) ? (int) $plugin_array['ratings'][ $stars ] : 0;
+			}
+		}
+
+		// Tags as slug => label, capped like the directory's own tag list
+		if ( isset( $plugin_array['tags'] ) && is_array( $plugin_array['tags'] ) ) {
+			$sanitized['tags'] = array();
+			foreach ( array_slice( $plugin_array['tags'], 0, 12, true ) as $tag_slug => $label ) {
+				$tag_slug = sanitize_title( $tag_slug );
+				$label = is_string( $label ) ? sanitize_text_field( html_entity_decode( $label, ENT_QUOTES | ENT_HTML5, 'UTF-8' ) ) : '';
+				if ( '' !== $tag_slug && '' !== $label ) {
+					$sanitized['tags'][ $tag_slug ] = $label;
+				}
+			}
+		}
 		
 		// Icons with URL validation
 		if ( isset( $plugin_array['icons'] ) && is_array( $plugin_array['icons'] ) ) {
@@ -372,7 +3018,98 @@ if ( ! function_exists( 'wordpress_plugin_search_sanitize_plugin' ) ) {
 				}
 			}
 		}
+
+		// Screenshots with URL validation, in readme order, with plain-text captions
+		if ( isset( $plugin_array['screenshots'] ) && is_array( $plugin_array['screenshots'] ) ) {
+			$sanitized['screenshots'] = array();
+			ksort( $plugin_array['screenshots'], SORT_NUMERIC );
+			foreach ( $plugin_array['screenshots'] as $id => $screenshot ) {
+				$screenshot = (array) $screenshot;
+				$url = isset( $screenshot['src'] ) ? $screenshot['src'] : '';
+				if ( ! is_string( $url ) || ! filter_var( $url, FILTER_VALIDATE_URL ) ) {
+					continue;
+				}
+
+				$caption = isset( $screenshot['caption'] ) && is_string( $screenshot['caption'] ) ? $screenshot['caption'] : '';
+				$caption = html_entity_decode( $caption, ENT_QUOTES | ENT_HTML5, 'UTF-8' );
+
+				$sanitized['screenshots'][] = array(
+					'id' => (int) $id,
+					'url' => esc_url_raw( $url ),
+					'caption' => sanitize_text_field( wp_strip_all_tags( $caption ) ),
+				);
+			}
+		}
+
+		// Banners with URL validation - the API sends false when a plugin has none
+		if ( isset( $plugin_array['banners'] ) && is_array( $plugin_array['banners'] ) ) {
+			$sanitized['banners'] = array();
+			foreach ( $plugin_array['banners'] as $size => $url ) {
+				if ( is_string( $url ) && filter_var( $url, FILTER_VALIDATE_URL ) ) {
+					$sanitized['banners'][ sanitize_text_field( $size ) ] = esc_url_raw( $url );
+				}
+			}
+		}
 		
 		return $sanitized;
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Sanitize full plugin_information data for the detail view
+ */
+if ( ! function_exists( 'wordpress_plugin_search_sanitize_plugin_details' ) ) {
+	function wordpress_plugin_search_sanitize_plugin_details( $plugin ) {
+		$plugin_array = (array) $plugin;
+		$sanitized = wordpress_plugin_search_sanitize_plugin( $plugin );
+
+		// Readme sections are HTML - keep post-safe markup only
+		$sanitized['sections'] = array();
+		if ( isset( $plugin_array['sections'] ) && is_array( $plugin_array['sections'] ) ) {
+			foreach ( array( 'description', 'installation', 'faq', 'changelog' ) as $section ) {
+				if ( ! empty( $plugin_array['sections'][ $section ] ) && is_string( $plugin_array['sections'][ $section ] ) ) {
+					$sanitized['sections'][ $section ] = wp_kses_post( $plugin_array['sections'][ $section ] );
+				}
+			}
+		}
+
+		// The card sanitizer only sets this when the API sent a breakdown
+		if ( ! isset( $sanitized['ratings'] ) ) {
+			$sanitized['ratings'] = array();
+		}
+
+		// Versions, newest first, without trunk
+		$sanitized['versions'] = array();
+		if ( isset( $plugin_array['versions'] ) && is_array( $plugin_array['versions'] ) ) {
+			$versions = array_diff( array_map( 'strval', array_keys( $plugin_array['versions'] ) ), array( 'trunk' ) );
+			usort( $versions, function( $a, $b ) {
+				return version_compare( $b, $a );
+			} );
+
+			foreach ( array_slice( $versions, 0, 30 ) as $version ) {
+				$url = $plugin_array['versions'][ $version ];
+				$sanitized['versions'][] = array(
+					'version' => sanitize_text_field( $version ),
+					'download_link' => filter_var( $url, FILTER_VALIDATE_URL ) ? esc_url_raw( $url ) : '',
+				);
+			}
+		}
+
+		// Contributors come back as username => profile URL or username => details
+		$sanitized['contributors'] = array();
+		if ( isset( $plugin_array['contributors'] ) && is_array( $plugin_array['contributors'] ) ) {
+			foreach ( $plugin_array['contributors'] as $username => $contributor ) {
+				$contributor = is_array( $contributor ) || is_object( $contributor ) ? (array) $contributor : array( 'profile' => $contributor );
+				$profile = isset( $contributor['profile'] ) ? $contributor['profile'] : '';
+
+				$sanitized['contributors'][] = array(
+					'username' => sanitize_user( $username ),
+					'display_name' => isset( $contributor['display_name'] ) ? sanitize_text_field( $contributor['display_name'] ) : sanitize_user( $username ),
+					'profile' => filter_var( $profile, FILTER_VALIDATE_URL ) ? esc_url_raw( $profile ) : '',
+				);
+			}
+		}
+
+		return $sanitized;
+	}
+}